@@ -0,0 +1,118 @@
+/**
+ * CTRL+F Pro Offscreen Document
+ * Does the two things the background service worker cannot do itself:
+ * copy text to the clipboard, and run regex scans of saved page text in a
+ * worker that can be stopped. background.js opens this page while it has
+ * work for it and closes it again afterwards, see withOffscreen() there.
+ *
+ * Messages in (all with target: 'offscreen'):
+ *   { action: 'copy', text }                    Put text on the clipboard
+ *   { action: 'scan', query, options, texts }   Scan texts in the search worker
+ *
+ * A scan replies { success, matches, truncated } with matches as a plain
+ * array of the worker's quadruples (see search-worker.js); a scan that
+ * missed its deadline replies no matches and truncated.
+ */
+
+(function() {
+  'use strict';
+
+  // Same deadline as the search worker on a live page, see content.js
+  const WORKER_TIMEOUT = 2000;
+
+  let worker = null;
+  let requestId = 0;
+  const requests = new Map();
+
+  /**
+   * Start the search worker, once per document or after it was stopped
+   * @returns {Worker}  The worker
+   */
+  function getWorker() {
+    if (worker) return worker;
+
+    worker = new Worker('../scripts/search-worker.js');
+    worker.onmessage = (event) => {
+      const request = requests.get(event.data.id);
+      if (!request) return;
+      requests.delete(event.data.id);
+      request(event.data);
+    };
+    worker.onerror = () => stopWorker({ error: 'Search worker failed' });
+    return worker;
+  }
+
+  /**
+   * Terminate the worker and answer every scan still waiting on it
+   * @param {Object} reply  What the waiting scans get
+   */
+  function stopWorker(reply) {
+    if (worker) worker.terminate();
+    worker = null;
+    requests.forEach(request => request(reply));
+    requests.clear();
+  }
+
+  /**
+   * Scan texts in the search worker. A regex can hang inside a single
+   * exec() call, so a reply that takes longer than WORKER_TIMEOUT stops
+   * the worker.
+   * @param {Object} message  { query, options, texts }
+   * @returns {Promise<Object>}  Reply for the background, see above
+   */
+  function scan(message) {
+    const id = ++requestId;
+
+    return new Promise(resolve => {
+      const timer = setTimeout(() => stopWorker({ timedOut: true }), WORKER_TIMEOUT);
+
+      requests.set(id, (data) => {
+        clearTimeout(timer);
+        if (data.timedOut) {
+          resolve({ success: true, matches: [], truncated: true });
+        } else if (data.error) {
+          resolve({ success: false, error: data.error });
+        } else {
+          worker.postMessage({ key: id, done: true });
+          resolve({ success: true, matches: Array.from(data.matches), truncated: data.truncated });
+        }
+      });
+      getWorker().postMessage({ id, key: id, query: message.query, options: message.options, texts: message.texts });
+    });
+  }
+
+  /**
+   * Put text on the clipboard. The page is never focused, so
+   * navigator.clipboard is not available; execCommand works from an
+   * offscreen document with the CLIPBOARD reason.
+   * @param {string} text  Text to copy
+   * @returns {Object}  Reply for the background
+   */
+  function copy(text) {
+    const area = document.querySelector('textarea');
+    area.value = text;
+    area.select();
+    const copied = document.execCommand('copy');
+    area.value = '';
+    return copied ? { success: true } : { success: false, error: 'Copy failed' };
+  }
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    // Content scripts' messages reach every extension page; only answer ours
+    if (message.target !== 'offscreen') return false;
+
+    switch (message.action) {
+      case 'copy':
+        sendResponse(copy(message.text));
+        return false;
+
+      case 'scan':
+        scan(message).then(sendResponse);
+        return true;
+
+      default:
+        sendResponse({ success: false, error: 'Unknown action' });
+        return false;
+    }
+  });
+})();
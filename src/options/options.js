@@ -0,0 +1,244 @@
+/**
+ * CTRL+F Pro Options Page
+ * Edits the settings in settings.js. Other scripts pick changes up through
+ * storage.onChanged, so nothing here has to notify them. The page index
+ * settings are the exception: the background keeps those, and only takes
+ * them from extension pages like this one, see background.js.
+ */
+
+(function() {
+  'use strict';
+
+  const COLOR_FIELDS = [
+    { name: 'colors.terms.0', label: 'Matches (first term)' },
+    { name: 'colors.terms.1', label: 'Second term' },
+    { name: 'colors.terms.2', label: 'Third term' },
+    { name: 'colors.terms.3', label: 'Fourth term' },
+    { name: 'colors.terms.4', label: 'Fifth term' },
+    { name: 'colors.terms.5', label: 'Sixth term' },
+    { name: 'colors.current', label: 'Current match' },
+    { name: 'colors.outline', label: 'Current match outline' }
+  ];
+
+  // Time (ms) the "Saved" note stays up
+  const STATUS_TIMEOUT = 2000;
+
+  const form = document.querySelector('.options-form');
+  const status = document.querySelector('.options-status');
+  let statusTimer = null;
+
+  /**
+   * Add an input and a preview swatch per highlight colour
+   */
+  function renderColorFields() {
+    const container = document.querySelector('.options-colors');
+
+    COLOR_FIELDS.forEach(field => {
+      const row = document.createElement('label');
+      row.className = 'options-color';
+
+      const swatch = document.createElement('span');
+      swatch.className = 'options-swatch';
+
+      const label = document.createElement('span');
+      label.className = 'options-color-label';
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.name = field.name;
+      input.spellcheck = false;
+      input.addEventListener('input', () => updateSwatch(input));
+
+      const error = document.createElement('span');
+      error.className = 'options-error';
+      error.dataset.errorFor = field.name;
+
+      row.append(swatch, label, input, error);
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Preview a colour input's value, if it is a valid colour
+   */
+  function updateSwatch(input) {
+    const swatch = input.parentElement.querySelector('.options-swatch');
+    swatch.style.background = Settings.isColor(input.value) ? input.value.trim() : 'transparent';
+  }
+
+  /**
+   * Fill the form from settings
+   */
+  function fillForm(settings) {
+    Object.keys(settings.searchOptions).forEach(key => {
+      form.elements[key].checked = settings.searchOptions[key];
+    });
+    form.elements.searchDelay.value = settings.searchDelay;
+    form.elements.restrictedPrefixes.value = settings.restrictedPrefixes.join('\n');
+    form.elements.includePatterns.value = settings.includePatterns.join('\n');
+    form.elements.excludePatterns.value = settings.excludePatterns.join('\n');
+    form.elements.searchLocalFiles.checked = settings.searchLocalFiles;
+    updateFileAccessHint();
+
+    settings.colors.terms.forEach((color, i) => {
+      form.elements[`colors.terms.${i}`].value = color;
+    });
+    form.elements['colors.current'].value = settings.colors.current;
+    form.elements['colors.outline'].value = settings.colors.outline;
+
+    form.querySelectorAll('.options-color input').forEach(updateSwatch);
+    showErrors({});
+  }
+
+  /**
+   * Warn when local files are turned on but the browser withholds access
+   */
+  async function updateFileAccessHint() {
+    const hint = document.querySelector('.options-file-access');
+    const allowed = await chrome.extension.isAllowedFileSchemeAccess();
+    hint.hidden = allowed || !form.elements.searchLocalFiles.checked;
+  }
+
+  /**
+   * Read the form into a settings object, unchecked
+   */
+  function readForm() {
+    const searchOptions = {};
+    Object.keys(Settings.DEFAULTS.searchOptions).forEach(key => {
+      searchOptions[key] = form.elements[key].checked;
+    });
+
+    const delay = form.elements.searchDelay.value.trim();
+
+    return {
+      searchOptions: searchOptions,
+      searchDelay: delay === '' ? NaN : Number(delay),
+      restrictedPrefixes: form.elements.restrictedPrefixes.value.split('\n'),
+      includePatterns: form.elements.includePatterns.value.split('\n'),
+      excludePatterns: form.elements.excludePatterns.value.split('\n'),
+      searchLocalFiles: form.elements.searchLocalFiles.checked,
+      colors: {
+        terms: Settings.DEFAULTS.colors.terms.map((color, i) => form.elements[`colors.terms.${i}`].value),
+        current: form.elements['colors.current'].value,
+        outline: form.elements['colors.outline'].value
+      }
+    };
+  }
+
+  /**
+   * Fill the page index fields from the background's settings
+   * @param {Object} indexSettings  { enabled, excludedDomains }
+   */
+  function fillIndexForm(indexSettings) {
+    form.elements.indexEnabled.checked = indexSettings.enabled;
+    form.elements.indexExcludedDomains.value = indexSettings.excludedDomains.join('\n');
+  }
+
+  /**
+   * Read the page index fields
+   * @returns {Object}  { enabled, excludedDomains }
+   */
+  function readIndexForm() {
+    return {
+      enabled: form.elements.indexEnabled.checked,
+      excludedDomains: form.elements.indexExcludedDomains.value.split(/[\n,]/).map(d => d.trim()).filter(d => d.length > 0)
+    };
+  }
+
+  /**
+   * Fetch the page index settings from the background
+   */
+  async function loadIndexSettings() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getIndexSettings' });
+      if (response?.settings) fillIndexForm(response.settings);
+    } catch (error) {
+      console.error('Page index settings load error:', error);
+    }
+  }
+
+  /**
+   * Show validation errors next to their fields
+   * @param {Object} errors  Field name -> message, see Settings.validate()
+   */
+  function showErrors(errors) {
+    form.querySelectorAll('[data-error-for]').forEach(el => {
+      const message = errors[el.dataset.errorFor] || '';
+      el.textContent = message;
+
+      const input = form.elements[el.dataset.errorFor];
+      if (input) input.classList.toggle('is-invalid', message.length > 0);
+    });
+  }
+
+  /**
+   * Show a short note next to the buttons
+   */
+  function showStatus(message) {
+    clearTimeout(statusTimer);
+    status.textContent = message;
+    statusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, STATUS_TIMEOUT);
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    try {
+      const { errors } = await Settings.save(readForm());
+      showErrors(errors);
+      if (Object.keys(errors).length > 0) {
+        // Nothing was saved, so the index settings are not either
+        showStatus('Not saved: fix the fields marked in red');
+        return;
+      }
+
+      // The index settings have nothing to validate and are kept apart
+      const response = await chrome.runtime.sendMessage({ action: 'setIndexSettings', settings: readIndexForm() });
+      if (!response?.success) {
+        showStatus('Saved, except the page index settings');
+        return;
+      }
+      fillIndexForm(response.settings);
+      showStatus('Saved');
+    } catch (error) {
+      console.error('Settings save error:', error);
+      showStatus('Could not save settings');
+    }
+  });
+
+  form.elements.searchLocalFiles.addEventListener('change', updateFileAccessHint);
+
+  form.querySelector('.options-btn-reset').addEventListener('click', async () => {
+    try {
+      await Settings.reset();
+      fillForm(Settings.DEFAULTS);
+      showStatus('Defaults restored');
+    } catch (error) {
+      console.error('Settings reset error:', error);
+      showStatus('Could not reset settings');
+    }
+  });
+
+  form.querySelector('.options-btn-forget').addEventListener('click', async () => {
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearIndex' });
+      showStatus('All remembered pages forgotten');
+    } catch (error) {
+      console.error('Page index error:', error);
+      showStatus('Could not forget the pages');
+    }
+  });
+
+  // Settings saved elsewhere, e.g. synced from another browser
+  Settings.onChange(fillForm);
+
+  renderColorFields();
+  loadIndexSettings();
+  Settings.load().then(fillForm).catch(error => {
+    console.error('Settings load error:', error);
+    fillForm(Settings.DEFAULTS);
+  });
+})();
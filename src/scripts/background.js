@@ -3,18 +3,100 @@
  * Handles multi tab communication and coordination
  */
 
+importScripts('search-engine.js', 'text-model.js', 'query-parser.js', 'page-index.js', 'settings.js', 'exporter.js');
+
 // State
 let globalQuery = '';
-let globalOptions = {
-  caseSensitive: false,
-  wholeWord: false
-};
+let globalOptions = { ...Settings.DEFAULTS.searchOptions };
 let tabResults = new Map();
 
-// Load saved options on startup
-chrome.storage.local.get(['options'], (result) => {
-  if (result.options) {
-    globalOptions = { ...globalOptions, ...result.options };
+// Query, options and scope tabResults were found with, for exports
+let tabResultsSearch = null;
+
+// Tabs closed by the last bulk close, kept in session storage so it can
+// still be undone after the service worker has been stopped, for as long
+// as the overlay offers Undo (UNDO_TIMEOUT in overlay.js)
+const CLOSED_TABS_KEY = 'closedTabs';
+const UNDO_CLOSE_TIMEOUT = 10000;
+
+// User settings from the options page (see settings.js)
+let settings = Settings.DEFAULTS;
+
+// Opt-in index of visited pages (see page-index.js)
+let indexSettings = {
+  enabled: false,
+  excludedDomains: []
+};
+
+// All-tabs search in flight: { id, cancelled }
+let activeSearch = null;
+
+// Which tabs "Search all tabs" covers, see queryScopeTabs()
+const SCOPES = ['window', 'group', 'highlighted', 'pinned', 'all'];
+let searchScope = 'all';
+
+// Snippets of surrounding text kept per tab for the all-tabs dropdown
+const SNIPPETS_PER_TAB = 3;
+
+// Time (ms) one tab may take to answer before it is left out of the results
+const TAB_SEARCH_TIMEOUT = 3000;
+
+// Time (ms) any content script may take to answer before it is given up
+// on, so a script that never replies cannot hold up a search for good
+const MESSAGE_TIMEOUT = 30000;
+
+// Characters of context copied on each side of a match
+const COPY_CONTEXT = 40;
+
+// Matches copied at most in one go
+const MAX_COPIED_MATCHES = 10000;
+
+// Page that copies to the clipboard and runs regex scans of stored text,
+// see withOffscreen()
+const OFFSCREEN_URL = 'src/offscreen/offscreen.html';
+let offscreenUsers = 0;
+let offscreenOpening = null;
+let offscreenClosing = Promise.resolve();
+
+// Time (ms) to wait for a page reopened from the index to load
+const PAGE_LOAD_TIMEOUT = 15000;
+
+// Recent queries kept for autocomplete
+const MAX_HISTORY = 50;
+
+// Same scripts as the manifest's content_scripts, for tabs opened before install
+const CONTENT_SCRIPTS = [
+  'src/scripts/search-engine.js',
+  'src/scripts/text-model.js',
+  'src/scripts/query-parser.js',
+  'src/scripts/settings.js',
+  'src/scripts/match-counts.js',
+  'src/scripts/content.js',
+  'src/scripts/overlay.js'
+];
+const CONTENT_STYLES = ['src/styles/highlight.css'];
+
+// Load settings and the last used options on startup
+Settings.load().then(loaded => {
+  settings = loaded;
+  chrome.storage.local.get(['options', 'indexSettings', 'searchScope'], (result) => {
+    globalOptions = { ...settings.searchOptions, ...result.options };
+    if (result.indexSettings) {
+      indexSettings = { ...indexSettings, ...result.indexSettings };
+    }
+    if (SCOPES.includes(result.searchScope)) {
+      searchScope = result.searchScope;
+    }
+  });
+});
+
+// New default options replace the last used ones, like the overlay does
+Settings.onChange(updated => {
+  const defaultsChanged = !Settings.sameOptions(settings.searchOptions, updated.searchOptions);
+  settings = updated;
+  if (defaultsChanged) {
+    globalOptions = { ...updated.searchOptions };
+    saveOptions(globalOptions);
   }
 });
 
@@ -26,15 +108,86 @@ function saveOptions(opts) {
   chrome.storage.local.set({ options: opts });
 }
 
+/**
+ * Load recent and saved searches
+ * @returns {Promise<Object>}  { history, saved }; history newest first
+ */
+async function getSearches() {
+  const result = await chrome.storage.local.get(['searchHistory', 'savedSearches']);
+  return {
+    history: result.searchHistory || [],
+    saved: result.savedSearches || []
+  };
+}
+
+/**
+ * Check whether two stored searches are the same query with the same options
+ */
+function isSameSearch(a, b) {
+  return a.query === b.query && Settings.sameOptions(a.options, b.options);
+}
+
+/**
+ * Record a query in the search history, moving it to the top if it is
+ * already there. Storage is left alone when it is on top already.
+ * @param {string} query  Search query
+ * @param {Object} options  Options it ran with
+ * @returns {Promise<Object[]>}  Updated history
+ */
+async function addToHistory(query, options) {
+  const entry = { query: query, options: { ...options }, usedAt: Date.now() };
+  const { history } = await getSearches();
+  if (history.length > 0 && isSameSearch(history[0], entry)) return history;
+
+  const updated = [entry, ...history.filter(item => !isSameSearch(item, entry))].slice(0, MAX_HISTORY);
+  await chrome.storage.local.set({ searchHistory: updated });
+  return updated;
+}
+
+/**
+ * Pin a query as a named saved search; saving under an existing name
+ * replaces that search
+ * @param {string} name  Display name
+ * @param {string} query  Search query
+ * @param {Object} options  Options it runs with
+ * @returns {Promise<Object[]>}  Updated saved searches
+ */
+async function saveSearch(name, query, options) {
+  const { saved } = await getSearches();
+  const entry = { name: name, query: query, options: { ...options } };
+
+  const updated = [...saved.filter(item => item.name !== name), entry]
+    .sort((a, b) => a.name.localeCompare(b.name));
+  await chrome.storage.local.set({ savedSearches: updated });
+  return updated;
+}
+
+/**
+ * Remove a saved search
+ * @param {string} name  Name it was saved under
+ * @returns {Promise<Object[]>}  Updated saved searches
+ */
+async function deleteSavedSearch(name) {
+  const { saved } = await getSearches();
+  const updated = saved.filter(item => item.name !== name);
+  await chrome.storage.local.set({ savedSearches: updated });
+  return updated;
+}
+
 /**
  * Send message to a tab's content script
+ * Every frame has one; the top frame's searches the others, see
+ * searchFrames() in content.js, so that is the one addressed by default.
  * @param {number} tabId  Tab ID
  * @param {Object} message  Message to send
- * @returns {Promise}  Response promise
+ * @param {number} frameId  Frame to send to (default the top frame)
+ * @returns {Promise}  Response promise; null if the tab could not be
+ *          reached or did not answer within MESSAGE_TIMEOUT
  */
-async function sendToTab(tabId, message) {
+async function sendToTab(tabId, message, frameId = 0) {
   try {
-    const response = await chrome.tabs.sendMessage(tabId, message);
+    const response = await withTimeout(chrome.tabs.sendMessage(tabId, message, { frameId }), MESSAGE_TIMEOUT, null);
+    if (response === null) console.log(`Tab ${tabId} did not answer ${message.action}`);
     return response;
   } catch (error) {
     console.log(`Tab ${tabId} not ready:`, error.message);
@@ -43,30 +196,105 @@ async function sendToTab(tabId, message) {
 }
 
 /**
- * Get all searchable tabs
- * @returns {Promise<chrome.tabs.Tab[]>}  Array of tabs
+ * Query the tabs in the chosen search scope
+ * "This window", "this group" and "selected tabs" are relative to the tab
+ * the search was started from. A tab outside any group falls back to its
+ * window, since there is no group to search.
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the search was started from
+ * @returns {Promise<chrome.tabs.Tab[]>}  Tabs in scope, in window and tab order
  */
-async function getSearchableTabs() {
-  const tabs = await chrome.tabs.query({});
-  
-  // Filter out restricted URLs
-  return tabs.filter(tab => {
-    if (!tab.url) return false;
+async function queryScopeTabs(fromTab) {
+  const windowId = fromTab ? fromTab.windowId : chrome.windows.WINDOW_ID_CURRENT;
+
+  switch (searchScope) {
+    case 'window':
+      return chrome.tabs.query({ windowId });
+    case 'group':
+      if (fromTab && fromTab.groupId !== undefined && fromTab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) {
+        return chrome.tabs.query({ groupId: fromTab.groupId });
+      }
+      return chrome.tabs.query({ windowId });
+    case 'highlighted':
+      return chrome.tabs.query({ windowId, highlighted: true });
+    case 'pinned':
+      return chrome.tabs.query({ pinned: true });
+    default:
+      return chrome.tabs.query({});
+  }
+}
+
+/**
+ * Change and remember the search scope
+ * @param {string} scope  One of SCOPES
+ */
+function setSearchScope(scope) {
+  if (!SCOPES.includes(scope)) return;
+  searchScope = scope;
+  chrome.storage.local.set({ searchScope: scope });
+}
+
+/**
+ * Work out the heading each tab is listed under in the results: its tab
+ * group if it has one, its window otherwise
+ * @param {chrome.tabs.Tab[]} tabs  Tabs in window and tab order
+ * @param {number} [currentWindowId]  Window the search was started from
+ * @returns {Promise<Map>}  Tab ID -> { key, title, color }
+ */
+async function describeSections(tabs, currentWindowId) {
+  const groups = new Map();
+  try {
+    (await chrome.tabGroups.query({})).forEach(group => groups.set(group.id, group));
+  } catch (error) {
+    // Without tab groups every tab is listed under its window
+  }
+
+  const windowNumbers = new Map();
+  const sections = new Map();
+
+  tabs.forEach(tab => {
+    if (!windowNumbers.has(tab.windowId)) windowNumbers.set(tab.windowId, windowNumbers.size + 1);
+    const windowTitle = tab.windowId === currentWindowId ? 'This window' : `Window ${windowNumbers.get(tab.windowId)}`;
+
+    const group = groups.get(tab.groupId);
+    sections.set(tab.id, group
+      ? { key: `group-${group.id}`, title: `${group.title || 'Unnamed group'} · ${windowTitle}`, color: group.color }
+      : { key: `window-${tab.windowId}`, title: windowTitle });
+  });
+
+  return sections;
+}
+
+/**
+ * Get the searchable tabs in the current scope, plus the tabs the user's
+ * allow and deny lists leave out
+ * Restricted URLs (chrome:// pages, extensions, devtools, ...) are dropped
+ * without a trace; a tab skipped by policy is returned with the reason so
+ * the results can say why it was not searched.
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the search was started from
+ * @returns {Promise<Object>}  { searchable: Tab[], skipped: Array of { tab, reason } }
+ */
+async function getSearchableTabs(fromTab) {
+  const tabs = await queryScopeTabs(fromTab);
+  const fileAccess = settings.searchLocalFiles && await chrome.extension.isAllowedFileSchemeAccess();
+  const searchable = [];
+  const skipped = [];
+
+  tabs.forEach(tab => {
+    if (!tab.url) return;
     const url = tab.url.toLowerCase();
-    
-    // Skip chrome:// pages, extensions, devtools, etc.
-    const restricted = [
-      'chrome://',
-      'chrome-extension://',
-      'devtools://',
-      'edge://',
-      'about:',
-      'moz-extension://',
-      'file://'
-    ];
-    
-    return !restricted.some(prefix => url.startsWith(prefix));
+
+    // Local files have their own switch, see Settings.getSkipReason()
+    if (!url.startsWith('file:') && settings.restrictedPrefixes.some(prefix => url.startsWith(prefix))) return;
+
+    const reason = Settings.getSkipReason(tab.url, settings, fileAccess);
+    if (reason) {
+      skipped.push({ tab, reason });
+    } else {
+      searchable.push(tab);
+    }
   });
+
+  return { searchable, skipped };
 }
 
 /**
@@ -79,15 +307,15 @@ async function ensureContentScript(tabId) {
     const response = await sendToTab(tabId, { action: 'ping' });
     if (response?.ready) return true;
     
-    // Inject the scripts
+    // Inject the scripts, into frames too, as the manifest does
     await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      files: ['src/scripts/search-engine.js', 'src/scripts/content.js']
+      target: { tabId: tabId, allFrames: true },
+      files: CONTENT_SCRIPTS
     });
     
     await chrome.scripting.insertCSS({
-      target: { tabId: tabId },
-      files: ['src/styles/overlay.css']
+      target: { tabId: tabId, allFrames: true },
+      files: CONTENT_STYLES
     });
     
     return true;
@@ -103,9 +331,10 @@ async function ensureContentScript(tabId) {
  * @param {string} query  Search query
  * @param {Object} options  Search options
  * @param {boolean} highlightOnly  Whether to highlight or just count
+ * @param {number[]} snippetTerms  Term indices that may produce snippets (default all)
  * @returns {Promise<Object>}  Search result
  */
-async function searchInTab(tabId, query, options, highlightOnly = false) {
+async function searchInTab(tabId, query, options, highlightOnly = false, snippetTerms = undefined) {
   try {
     await ensureContentScript(tabId);
     
@@ -113,13 +342,16 @@ async function searchInTab(tabId, query, options, highlightOnly = false) {
     const response = await sendToTab(tabId, { 
       action: action, 
       query: query,
-      options: options 
+      options: options,
+      maxSnippets: SNIPPETS_PER_TAB,
+      snippetTerms: snippetTerms
     });
     
     if (response?.success) {
       return {
         tabId: tabId,
         counts: response.counts,
+        snippets: response.snippets || [],
         success: true
       };
     }
@@ -130,27 +362,155 @@ async function searchInTab(tabId, query, options, highlightOnly = false) {
   }
 }
 
+/**
+ * Parse a query written in the boolean syntax (see query-parser.js)
+ * @param {string} query  Search query
+ * @param {Object} options  Search options
+ * @returns {Object|null}  { ast, terms, positive } or { error }; null for plain text
+ */
+function parseBooleanQuery(query, options) {
+  if (options.regex || !QueryParser.isBoolean(query)) return null;
+
+  const parsed = QueryParser.parse(query);
+  if (parsed.error) return parsed;
+
+  return { ...parsed, positive: QueryParser.positiveTerms(parsed.ast) };
+}
+
+/**
+ * Get what to highlight for a query. Boolean queries only highlight their
+ * positive terms; "paid" in "invoice NOT paid" is never shown.
+ * @param {string} query  Search query
+ * @param {Object} options  Search options
+ * @returns {string|string[]}  Query text or term list for the content script
+ */
+function getHighlightQuery(query, options) {
+  const parsed = parseBooleanQuery(query, options);
+  if (!parsed) return query;
+  if (parsed.error) return [];
+
+  return parsed.positive.map(i => parsed.terms[i]);
+}
+
+/**
+ * Judge one tab's per-term counts against a boolean query
+ * A term is present if it occurs at all, even where a longer term's match
+ * hides it from the counts, so presence comes from counts.present.
+ * @param {Object} parsed  Result of parseBooleanQuery()
+ * @param {Object} counts  Counts for every term of the query
+ * @returns {Object|null}  { counts, clauses } if the tab satisfies the query
+ */
+function applyBooleanQuery(parsed, counts) {
+  const perTerm = counts.terms ? counts.terms.map(t => t.total) : [counts.total];
+  const present = counts.present || perTerm.map(total => total > 0);
+
+  if (!QueryParser.evaluate(parsed.ast, present)) return null;
+
+  // Only positive terms are highlighted, so only they are counted
+  const terms = parsed.positive.map(i => ({ term: parsed.terms[i], total: perTerm[i] }));
+
+  return {
+    counts: {
+      total: terms.reduce((sum, t) => sum + t.total, 0),
+      terms: terms.length > 1 ? terms : undefined
+    },
+    clauses: QueryParser.describeClauses(parsed.ast, present)
+  };
+}
+
+/**
+ * Resolve a promise, or fall back to a value after a delay
+ * @param {Promise} promise  Promise to wait on
+ * @param {number} ms  Time limit
+ * @param {*} fallback  Value to resolve with on timeout
+ * @returns {Promise}  Whichever settles first
+ */
+function withTimeout(promise, ms, fallback) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(fallback), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 /**
  * Search across all tabs
+ * Tabs are searched in parallel, each with its own time limit, and every
+ * result is streamed to the requesting overlay as soon as it is in (see
+ * 'tabResult' in overlay.js). Starting a new search cancels the previous
+ * one: its late results are dropped here and never reach tabResults.
  * @param {string} query  Search query
  * @param {Object} options  Search options
+ * @param {Object} stream  { searchId, tab } who to stream results to; the
+ *        tab also decides what "this window" and "this group" mean
  * @returns {Promise<Object>}  Aggregated results
  */
-async function searchAllTabs(query, options = globalOptions) {
-  const tabs = await getSearchableTabs();
+async function searchAllTabs(query, options = globalOptions, stream = {}) {
+  if (activeSearch) activeSearch.cancelled = true;
+  const search = { id: stream.searchId, cancelled: false };
+  activeSearch = search;
+
+  const parsed = parseBooleanQuery(query, options);
   tabResults.clear();
+  tabResultsSearch = { query: query, options: { ...options }, scope: searchScope };
+
+  if (parsed?.error) {
+    return { total: 0, tabCount: 0, tabs: [], error: parsed.error };
+  }
+
+  // A boolean query is counted term by term, then judged per tab
+  const countQuery = parsed ? parsed.terms : query;
+  const { searchable: tabs, skipped } = await getSearchableTabs(stream.tab);
+  const sections = await describeSections(tabs, stream.tab?.windowId);
+  const progress = { done: 0, total: tabs.length, timedOut: 0 };
   
   // Search in all tabs in parallel
-  const searchPromises = tabs.map(async tab => {
-    const result = await searchInTab(tab.id, query, options, false);
+  const searchPromises = tabs.map(async (tab, order) => {
+    // A tab without a live page is searched through its snapshot, as is
+    // one whose page does not answer
+    let result = isUnloaded(tab)
+      ? await searchSnapshot(tab, countQuery, options, parsed?.positive)
+      : await withTimeout(
+        searchInTab(tab.id, countQuery, options, false, parsed?.positive),
+        TAB_SEARCH_TIMEOUT,
+        { tabId: tab.id, counts: { total: 0 }, success: false, timedOut: true }
+      );
+    if (!result.success && !result.timedOut && !isUnloaded(tab)) {
+      result = await searchSnapshot(tab, countQuery, options, parsed?.positive);
+    }
+    if (search.cancelled) return result;
+
+    progress.done++;
+    if (result.timedOut) progress.timedOut++;
+
+    const judged = !result.success ? null
+      : parsed ? applyBooleanQuery(parsed, result.counts)
+      : (result.counts.total > 0 ? { counts: result.counts } : null);
     
-    if (result.counts.total > 0) {
-      tabResults.set(tab.id, {
+    let entry = null;
+    if (judged) {
+      entry = {
         tabId: tab.id,
         title: tab.title,
         url: tab.url,
         favicon: tab.favIconUrl,
-        counts: result.counts
+        order: order,
+        counts: judged.counts,
+        clauses: judged.clauses,
+        snippets: result.snippets,
+        cached: Boolean(result.cached),
+        cachedAt: result.cachedAt,
+        section: sections.get(tab.id)
+      };
+      tabResults.set(tab.id, entry);
+    }
+
+    if (stream.tab) {
+      sendToTab(stream.tab.id, {
+        action: 'tabResult',
+        searchId: search.id,
+        result: entry,
+        progress: { ...progress }
       });
     }
     
@@ -158,6 +518,20 @@ async function searchAllTabs(query, options = globalOptions) {
   });
   
   await Promise.all(searchPromises);
+
+  // Closed pages belong to no window or group, so only a search of
+  // everything lists them. A regex over them would run on this thread,
+  // where nothing can stop one that backtracks, so regex searches leave
+  // them out and say so.
+  const historyLeftOut = searchScope === 'all' && indexSettings.enabled && Boolean(options.regex);
+  const history = search.cancelled || searchScope !== 'all' || historyLeftOut
+    ? []
+    : await searchHistory(countQuery, options, parsed, tabs, () => search.cancelled);
+
+  if (search.cancelled) {
+    return { cancelled: true, searchId: search.id };
+  }
+  activeSearch = null;
   
   // Calculate totals
   let totalMatches = 0;
@@ -167,10 +541,708 @@ async function searchAllTabs(query, options = globalOptions) {
   });
   
   return {
+    searchId: search.id,
+    scope: searchScope,
     total: totalMatches,
     tabCount: tabResults.size,
-    tabs: Array.from(tabResults.values())
+    timedOut: progress.timedOut,
+    tabs: Array.from(tabResults.values()).sort((a, b) => a.order - b.order),
+    history: history,
+    historyLeftOut: historyLeftOut,
+    skipped: skipped.map(({ tab, reason }) => ({
+      tabId: tab.id,
+      title: tab.title,
+      url: tab.url,
+      favicon: tab.favIconUrl,
+      reason: reason
+    }))
+  };
+}
+
+/**
+ * Copy or save the results of the last all-tabs search
+ * @param {string} format  One of Exporter.FORMATS
+ * @param {string} target  'copy' for the clipboard, 'download' for a file
+ * @returns {Promise<Object>}  { filename }, or { error } when there is nothing to export
+ */
+async function exportResults(format, target) {
+  if (!tabResultsSearch || tabResults.size === 0) {
+    return { error: 'No results to export' };
+  }
+  if (!Exporter.FORMATS[format]) {
+    return { error: `Unknown export format: ${format}` };
+  }
+
+  const data = {
+    ...tabResultsSearch,
+    exportedAt: new Date().toISOString(),
+    tabs: Array.from(tabResults.values()).sort((a, b) => a.order - b.order)
+  };
+
+  const text = Exporter.build(data, format);
+  const filename = Exporter.filename(data, format);
+
+  try {
+    if (target === 'copy') {
+      await copyToClipboard(text);
+    } else {
+      await downloadText(text, filename, Exporter.FORMATS[format].mimeType);
+    }
+  } catch (error) {
+    console.error('Export error:', error);
+    return { error: target === 'copy' ? 'Could not copy' : 'Could not save the file' };
+  }
+  return { filename: filename };
+}
+
+/**
+ * Run a task that needs the offscreen document, opening it unless another
+ * task already has. There can only be one, so it stays open until the
+ * last task using it is done.
+ * @param {Function} task  Returns a promise; runs once the document is open
+ * @returns {Promise<*>}  What the task resolves with
+ */
+async function withOffscreen(task) {
+  offscreenUsers++;
+  if (!offscreenOpening) {
+    offscreenOpening = offscreenClosing.then(async () => {
+      // One may be left over from before the service worker was stopped
+      const open = await chrome.runtime.getContexts({ contextTypes: ['OFFSCREEN_DOCUMENT'] });
+      if (open.length > 0) return;
+
+      await chrome.offscreen.createDocument({
+        url: OFFSCREEN_URL,
+        reasons: ['CLIPBOARD', 'WORKERS'],
+        justification: 'Copy search results to the clipboard and search saved page text in a worker'
+      });
+    });
+  }
+
+  try {
+    await offscreenOpening;
+    return await task();
+  } finally {
+    if (--offscreenUsers === 0) {
+      offscreenOpening = null;
+      offscreenClosing = chrome.offscreen.closeDocument().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Put text on the clipboard from the offscreen document. The service
+ * worker has no clipboard of its own, and copying from the overlay would
+ * go through the page's document, where the page can read or replace it.
+ * @param {string} text  Text to copy
+ * @returns {Promise<void>}  Rejects when the copy failed
+ */
+async function copyToClipboard(text) {
+  const response = await withOffscreen(() => chrome.runtime.sendMessage({ target: 'offscreen', action: 'copy', text: text }));
+  if (!response?.success) throw new Error(response?.error || 'Copy failed');
+}
+
+/**
+ * Find the matches in the lines of a stored page (snapshot). A regex runs
+ * in the search worker of the offscreen document, which is stopped after
+ * the same deadline as on a live page (see matchInWorker() in content.js):
+ * one that backtracks here would hold up every tab's messages. Other
+ * queries cannot run away and are matched right here.
+ * @param {string[]} lines  Page text, split into lines
+ * @param {string|string[]} query  Query, or term list for a boolean query
+ * @param {Object} options  Search options
+ * @param {Object} state  Prepared state for the query; truncated is set on
+ *                        it if the worker stopped the regex early
+ * @returns {Promise<Object[][]>}  Matches per line, overlaps included
+ */
+async function scanStoredLines(lines, query, options, state) {
+  if (!options.regex) return lines.map(line => SearchEngine.scan(line, state));
+
+  const reply = await withOffscreen(() => chrome.runtime.sendMessage({
+    target: 'offscreen',
+    action: 'scan',
+    query: query,
+    options: options,
+    texts: lines
+  }));
+  if (!reply?.success) throw new Error(reply?.error || 'Scan failed');
+  if (reply.truncated) state.truncated = true;
+
+  // Flat [line, index, length, term] quadruples, see search-worker.js
+  const found = lines.map(() => []);
+  const data = reply.matches;
+  for (let i = 0; i < data.length; i += 4) {
+    const index = data[i + 1];
+    const length = data[i + 2];
+    const m = { text: lines[data[i]].slice(index, index + length), index, length };
+    if (data[i + 3] !== -1) m.term = data[i + 3];
+    found[data[i]].push(m);
+  }
+  return found;
+}
+
+/**
+ * Save text as a file through the downloads API, so the file comes from
+ * the extension rather than a link on the page
+ * @param {string} text  File contents
+ * @param {string} filename  Suggested file name
+ * @param {string} mimeType  MIME type of the contents
+ * @returns {Promise<number>}  Download ID
+ */
+function downloadText(text, filename, mimeType) {
+  return chrome.downloads.download({
+    url: `data:${mimeType};charset=utf-8,${encodeURIComponent(text)}`,
+    filename: filename
+  });
+}
+
+/**
+ * Look up tabs picked in the dropdown. Only tabs from the last all-tabs
+ * search count, so a stale or forged id cannot reach other tabs.
+ * @param {number[]} tabIds  Tab IDs
+ * @returns {Promise<chrome.tabs.Tab[]>}  Tabs still open, in results order
+ */
+async function getResultTabs(tabIds) {
+  const ids = (Array.isArray(tabIds) ? tabIds : [])
+    .filter(id => tabResults.has(id))
+    .sort((a, b) => tabResults.get(a).order - tabResults.get(b).order);
+  const tabs = await Promise.all(ids.map(id => chrome.tabs.get(id).catch(() => null)));
+  return tabs.filter(Boolean);
+}
+
+/**
+ * Work out the results headings and order again after tabs changed
+ * window or group
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the actions were started from
+ * @returns {Promise<Object[]>}  All tab results, in window and tab order
+ */
+async function refreshSections(fromTab) {
+  const tabs = (await chrome.tabs.query({})).filter(tab => tabResults.has(tab.id));
+  const sections = await describeSections(tabs, fromTab?.windowId);
+  tabs.forEach((tab, order) => {
+    const entry = tabResults.get(tab.id);
+    entry.order = order;
+    entry.section = sections.get(tab.id);
+  });
+  return Array.from(tabResults.values()).sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Close tabs from the results. The tab the overlay is open in stays, or
+ * there would be nothing left to undo from.
+ * @param {number[]} tabIds  Tab IDs
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the actions were started from
+ * @returns {Promise<Object>}  { closed, tabIds }, or { error }
+ */
+async function closeTabs(tabIds, fromTab) {
+  const tabs = (await getResultTabs(tabIds)).filter(tab => tab.id !== fromTab?.id);
+  if (tabs.length === 0) return { error: 'No tabs to close' };
+
+  try {
+    const closed = tabs.map(tab => ({
+      entry: tabResults.get(tab.id),
+      url: tab.url,
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: tab.pinned,
+      groupId: tab.groupId
+    }));
+    await chrome.storage.session.set({
+      [CLOSED_TABS_KEY]: { closedAt: Date.now(), search: tabResultsSearch, tabs: closed }
+    });
+    await chrome.tabs.remove(tabs.map(tab => tab.id));
+    return { closed: tabs.length, tabIds: tabs.map(tab => tab.id) };
+  } catch (error) {
+    console.error('Close tabs error:', error);
+    return { error: 'Could not close the tabs' };
+  }
+}
+
+/**
+ * Reopen the tabs closed by closeTabs() where they were, and put them
+ * back in the results under their new IDs
+ * Tabs are restored from the browser's recently closed list, with their
+ * back/forward history. A tab no longer on that list loads its page
+ * afresh instead. Undo works until UNDO_CLOSE_TIMEOUT has passed, even
+ * if another search ran meanwhile; the tabs then come back without their
+ * results, which were for the earlier search.
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the actions were started from, which stays in front
+ * @returns {Promise<Object>}  { tabs, reopened }: the restored results and
+ *          the number of tabs reopened, or { error }
+ */
+async function undoCloseTabs(fromTab) {
+  const { [CLOSED_TABS_KEY]: record } = await chrome.storage.session.get(CLOSED_TABS_KEY);
+  if (!record || record.tabs.length === 0 || Date.now() - record.closedAt > UNDO_CLOSE_TIMEOUT) {
+    return { error: 'Nothing to undo' };
+  }
+  await chrome.storage.session.remove(CLOSED_TABS_KEY);
+
+  const closed = record.tabs.sort((a, b) => a.windowId - b.windowId || a.index - b.index);
+  const sameSearch = Boolean(tabResultsSearch && record.search && isSameSearch(tabResultsSearch, record.search));
+  const restored = [];
+  let reopened = 0;
+
+  const reopen = async (info, tab) => {
+    if (info.groupId !== undefined && info.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE && tab.groupId !== info.groupId) {
+      await chrome.tabs.group({ groupId: info.groupId, tabIds: tab.id }).catch(() => {
+        // The group went away with its last tab
+      });
+    }
+
+    reopened++;
+    if (!sameSearch) return;
+
+    const entry = { ...info.entry, tabId: tab.id };
+    tabResults.set(tab.id, entry);
+    restored.push(entry);
   };
+
+  try {
+    for (const sessionId of await findClosedSessions(closed, record.closedAt)) {
+      const session = await chrome.sessions.restore(sessionId).catch(() => null);
+      if (!session) continue;
+
+      // A window closes along with its last tab, and comes back whole
+      const tabs = session.tab ? [session.tab] : session.window.tabs;
+      for (const tab of tabs) {
+        const at = closed.findIndex(info => info.url === tab.url);
+        if (at !== -1) await reopen(closed.splice(at, 1)[0], tab);
+      }
+    }
+
+    for (const info of closed) {
+      const properties = { url: info.entry.url, pinned: info.pinned, active: false };
+      const tab = await chrome.tabs.create({ ...properties, windowId: info.windowId, index: info.index })
+        .catch(() => chrome.tabs.create(properties)); // Its window has closed since
+      await reopen(info, tab);
+    }
+  } catch (error) {
+    console.error('Undo close error:', error);
+    if (reopened === 0) return { error: 'Could not reopen the tabs' };
+  }
+
+  // Restoring brings a tab to the front; go back to where undo was clicked
+  if (fromTab) {
+    try {
+      await chrome.windows.update(fromTab.windowId, { focused: true });
+      await chrome.tabs.update(fromTab.id, { active: true });
+    } catch (error) {
+      // That tab has been closed meanwhile
+    }
+  }
+
+  return { tabs: restored, reopened: reopened };
+}
+
+/**
+ * Find the recently closed tabs and windows that closeTabs() closed
+ * @param {Object[]} closed  Closed tabs, as closeTabs() recorded them
+ * @param {number} closedAt  When they were closed (ms)
+ * @returns {Promise<string[]>}  Session IDs to restore
+ */
+async function findClosedSessions(closed, closedAt) {
+  const urls = closed.map(info => info.url);
+  const sessionIds = [];
+
+  for (const session of await chrome.sessions.getRecentlyClosed()) {
+    // Newest first; lastModified is in seconds
+    if (session.lastModified * 1000 < closedAt - 1000) break;
+
+    const tabs = session.tab ? [session.tab] : session.window.tabs;
+    const left = urls.slice();
+    const ours = tabs.every(tab => {
+      const at = left.indexOf(tab.url);
+      if (at !== -1) left.splice(at, 1);
+      return at !== -1;
+    });
+    if (!ours) continue;
+
+    urls.splice(0, urls.length, ...left);
+    sessionIds.push(session.tab ? session.tab.sessionId : session.window.sessionId);
+  }
+
+  return sessionIds;
+}
+
+/**
+ * Move tabs from the results into a new window, in results order
+ * @param {number[]} tabIds  Tab IDs
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the actions were started from
+ * @returns {Promise<Object>}  { moved, tabs }, or { error }
+ */
+async function moveTabsToWindow(tabIds, fromTab) {
+  const tabs = await getResultTabs(tabIds);
+  if (tabs.length === 0) return { error: 'No tabs to move' };
+
+  try {
+    const win = await chrome.windows.create({ tabId: tabs[0].id, focused: false });
+    if (tabs.length > 1) {
+      await chrome.tabs.move(tabs.slice(1).map(tab => tab.id), { windowId: win.id, index: -1 });
+    }
+    return { moved: tabs.length, tabs: await refreshSections(fromTab) };
+  } catch (error) {
+    console.error('Move tabs error:', error);
+    return { error: 'Could not move the tabs' };
+  }
+}
+
+/**
+ * Put tabs from the results in a tab group, adding to the group of that
+ * name in the current window if there is one. Pinned tabs cannot be
+ * grouped and are left where they are.
+ * @param {number[]} tabIds  Tab IDs
+ * @param {string} title  Group name
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the actions were started from
+ * @returns {Promise<Object>}  { grouped, pinned, tabs }, or { error }
+ */
+async function groupTabs(tabIds, title, fromTab) {
+  const name = typeof title === 'string' ? title.trim() : '';
+  if (!name) return { error: 'The group needs a name' };
+
+  const tabs = await getResultTabs(tabIds);
+  const groupable = tabs.filter(tab => !tab.pinned);
+  if (groupable.length === 0) return { error: tabs.length > 0 ? 'Pinned tabs cannot be grouped' : 'No tabs to group' };
+
+  try {
+    const windowId = fromTab ? fromTab.windowId : groupable[0].windowId;
+    const [existing] = await chrome.tabGroups.query({ title: name, windowId });
+    const ids = groupable.map(tab => tab.id);
+
+    if (existing) {
+      await chrome.tabs.group({ groupId: existing.id, tabIds: ids });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds: ids, createProperties: { windowId } });
+      await chrome.tabGroups.update(groupId, { title: name });
+    }
+
+    return { grouped: groupable.length, pinned: tabs.length - groupable.length, tabs: await refreshSections(fromTab) };
+  } catch (error) {
+    console.error('Group tabs error:', error);
+    return { error: 'Could not group the tabs' };
+  }
+}
+
+/**
+ * Bookmark tabs from the results into a folder, reusing a folder of that
+ * name if there is one (a new folder goes under "Other bookmarks")
+ * @param {number[]} tabIds  Tab IDs
+ * @param {string} title  Folder name
+ * @returns {Promise<Object>}  { bookmarked, folder }, or { error }
+ */
+async function bookmarkTabs(tabIds, title) {
+  const name = typeof title === 'string' ? title.trim() : '';
+  if (!name) return { error: 'The folder needs a name' };
+
+  const tabs = await getResultTabs(tabIds);
+  if (tabs.length === 0) return { error: 'No tabs to bookmark' };
+
+  try {
+    const [existing] = (await chrome.bookmarks.search({ title: name })).filter(node => !node.url);
+    const folder = existing || await chrome.bookmarks.create({ title: name });
+
+    for (const tab of tabs) {
+      await chrome.bookmarks.create({ parentId: folder.id, title: tab.title, url: tab.url });
+    }
+
+    return { bookmarked: tabs.length, folder: folder.title };
+  } catch (error) {
+    console.error('Bookmark tabs error:', error);
+    return { error: 'Could not bookmark the tabs' };
+  }
+}
+
+/**
+ * Collect every match in one tab, from its live page or, failing that,
+ * its snapshot. A snapshot may be older than what the tab shows, so the
+ * result says when it came from one.
+ * @param {chrome.tabs.Tab} tab  Tab to collect from
+ * @param {string|string[]} query  Query, or term list for a boolean query
+ * @param {Object} options  Search options
+ * @param {number} context  Characters of context each side, 0 for none
+ * @param {boolean} cached  Whether the tab was searched through its snapshot
+ * @returns {Promise<Object|null>}  { matches, truncated, cached }, or null if the tab cannot be read
+ */
+async function collectFromTab(tab, query, options, context, cached) {
+  if (!cached && !isUnloaded(tab)) {
+    const collect = async () => {
+      await ensureContentScript(tab.id);
+      return sendToTab(tab.id, { action: 'collectMatches', query, options, context });
+    };
+    const response = await withTimeout(collect().catch(() => null), TAB_SEARCH_TIMEOUT, null);
+    if (response?.success) return { matches: response.matches, truncated: response.truncated };
+  }
+
+  try {
+    const snapshot = await PageIndex.getSnapshot(tab.url);
+    const state = snapshot && SearchEngine.prepare(query, options);
+    if (!state) return null;
+    const found = await scanStoredLines(snapshot.text.split('\n'), query, options, state);
+    return { ...PageIndex.collectMatches(snapshot.text, state, context, MAX_COPIED_MATCHES, found), cached: true };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Copy the matches of a search to the clipboard
+ * @param {string} query  Search query
+ * @param {Object} options  Search options
+ * @param {string} scope  'page' for the tab the overlay is in, 'tabs' for
+ *        every tab in the last all-tabs results
+ * @param {Object} columns  { context, url } what to copy besides the matches
+ * @param {chrome.tabs.Tab} [fromTab]  Tab the copy was started from
+ * @returns {Promise<Object>}  { count, pages, cached, leftOut, truncated },
+ *          or { error }; cached counts pages copied from a snapshot, leftOut
+ *          tabs that could not be read at all
+ */
+async function copyMatches(query, options, scope, columns = {}, fromTab) {
+  const highlightQuery = getHighlightQuery(query, options);
+  if (!query || highlightQuery.length === 0) return { error: 'Nothing to copy' };
+
+  let tabs;
+  if (scope === 'tabs') {
+    if (!tabResultsSearch || !isSameSearch(tabResultsSearch, { query, options })) {
+      return { error: 'Search all tabs first' };
+    }
+    tabs = await getResultTabs(Array.from(tabResults.keys()));
+  } else {
+    const [activeTab] = fromTab ? [fromTab] : await chrome.tabs.query({ active: true, currentWindow: true });
+    tabs = activeTab ? [activeTab] : [];
+  }
+
+  const context = columns.context ? COPY_CONTEXT : 0;
+  const found = await Promise.all(tabs.map(tab => {
+    const cached = scope === 'tabs' && tabResults.get(tab.id).cached;
+    return collectFromTab(tab, highlightQuery, options, context, cached);
+  }));
+
+  const pages = [];
+  let count = 0;
+  let cached = 0;
+  let leftOut = 0;
+  let truncated = false;
+
+  tabs.forEach((tab, i) => {
+    if (!found[i]) {
+      leftOut++;
+      return;
+    }
+    if (found[i].matches.length === 0) return;
+
+    const matches = found[i].matches.slice(0, MAX_COPIED_MATCHES - count);
+    truncated = truncated || found[i].truncated || matches.length < found[i].matches.length;
+    if (matches.length === 0) return;
+
+    count += matches.length;
+    if (found[i].cached) cached++;
+    pages.push({ title: tab.title, url: tab.url, matches: matches });
+  });
+
+  if (count === 0) {
+    return { error: leftOut > 0 ? 'Could not read the page' : 'No matches to copy' };
+  }
+
+  try {
+    await copyToClipboard(Exporter.matchesToText({ pages: pages }, { context: columns.context, url: columns.url }));
+  } catch (error) {
+    console.error('Copy matches error:', error);
+    return { error: 'Could not copy' };
+  }
+
+  return {
+    count: count,
+    pages: pages.length,
+    cached: cached,
+    leftOut: leftOut,
+    truncated: truncated
+  };
+}
+
+/**
+ * Search the page index for pages that are no longer open
+ * @param {string|string[]} countQuery  Query, or term list for a boolean query
+ * @param {Object} options  Search options
+ * @param {Object|null} parsed  Parsed boolean query, if any
+ * @param {chrome.tabs.Tab[]} tabs  Open tabs; their pages are left out
+ * @param {Function} isCancelled  Returns true once a newer search started
+ * @returns {Promise<Object[]>}  Matching pages, newest first
+ */
+async function searchHistory(countQuery, options, parsed, tabs, isCancelled) {
+  if (!indexSettings.enabled) return [];
+
+  try {
+    return await PageIndex.search(countQuery, options, {
+      skipUrls: new Set(tabs.map(tab => tab.url)),
+      maxSnippets: SNIPPETS_PER_TAB,
+      snippetTerms: parsed?.positive,
+      isCancelled: isCancelled,
+      accept: (page) => {
+        // Indexed before the user excluded it
+        if (Settings.getSkipReason(page.url, settings, false)) return null;
+
+        const judged = parsed ? applyBooleanQuery(parsed, page.counts) : { counts: page.counts };
+        return judged && { ...page, counts: judged.counts, clauses: judged.clauses };
+      }
+    });
+  } catch (error) {
+    console.error('Page index search error:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether a tab's page may be snapshotted or indexed at all
+ * @param {chrome.tabs.Tab} tab  Tab to check
+ * @param {string} [url]  Page URL, if not the one the tab shows now
+ * @returns {boolean}  True for regular web pages that no setting excludes
+ */
+function canStorePage(tab, url = tab.url) {
+  if (tab.incognito || !url || !/^https?:/i.test(url)) return false;
+  if (Settings.getSkipReason(url, settings, false)) return false;
+  return !PageIndex.isExcluded(url, indexSettings.excludedDomains);
+}
+
+/**
+ * Store a page's text as its tab's snapshot and in the page index. Both
+ * are part of the opt-in index, so nothing is stored while it is off.
+ * A page left by navigating the tab sends its text as it goes, when the
+ * tab may already show the next page, so entries are filed under the URL
+ * of the page that sent them rather than the tab's.
+ * @param {chrome.tabs.Tab} tab  Tab the text came from
+ * @param {string} url  URL of the page that sent the text
+ * @param {Object} page  { text, title } as sent by the content script
+ */
+async function storePageText(tab, url, page) {
+  if (!indexSettings.enabled || !page.text || !canStorePage(tab, url)) return;
+
+  const entry = {
+    url: url,
+    title: page.title || (tab.url === url ? tab.title : ''),
+    favicon: tab.url === url ? tab.favIconUrl : undefined,
+    text: page.text
+  };
+
+  try {
+    await PageIndex.putSnapshot(entry);
+    await PageIndex.put(entry);
+  } catch (error) {
+    console.error('Page index error:', error);
+  }
+}
+
+/**
+ * Check whether a tab has no live page to ask, i.e. it was discarded to
+ * save memory or has not been loaded since the browser started
+ * @param {chrome.tabs.Tab} tab  Tab to check
+ * @returns {boolean}  True if only its snapshot can be searched
+ */
+function isUnloaded(tab) {
+  return tab.discarded || tab.status === 'unloaded';
+}
+
+/**
+ * Search a tab's snapshot in place of its live page
+ * @param {chrome.tabs.Tab} tab  Tab to search
+ * @param {string|string[]} query  Query, or term list for a boolean query
+ * @param {Object} options  Search options
+ * @param {number[]} snippetTerms  Term indices that may produce snippets (default all)
+ * @returns {Promise<Object>}  Search result, shaped like searchInTab()'s, with cached set
+ */
+async function searchSnapshot(tab, query, options, snippetTerms) {
+  try {
+    const snapshot = await PageIndex.getSnapshot(tab.url);
+    const state = snapshot && SearchEngine.prepare(query, options);
+    if (!state) return { tabId: tab.id, counts: { total: 0 }, success: false };
+
+    const lines = await scanStoredLines(snapshot.text.split('\n'), query, options, state);
+    const found = PageIndex.searchText(snapshot.text, state, SNIPPETS_PER_TAB, snippetTerms, lines);
+    return {
+      tabId: tab.id,
+      counts: found.counts,
+      snippets: found.snippets,
+      success: true,
+      cached: true,
+      cachedAt: snapshot.takenAt
+    };
+  } catch (error) {
+    return { tabId: tab.id, counts: { total: 0 }, success: false };
+  }
+}
+
+/**
+ * Wait until a tab has finished loading, or give up after a while
+ * @param {number} tabId  Tab ID
+ * @param {number} ms  Time limit in milliseconds
+ * @returns {Promise<void>}
+ */
+function waitForTabLoad(tabId, ms) {
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve();
+    };
+    const listener = (updatedId, changeInfo) => {
+      if (updatedId === tabId && changeInfo.status === 'complete') done();
+    };
+    const timer = setTimeout(done, ms);
+    chrome.tabs.onUpdated.addListener(listener);
+
+    // It may have finished before the listener was added
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') done();
+    }, done);
+  });
+}
+
+/**
+ * Reopen a page from the index and highlight one of its matches
+ * @param {string} url  Page URL
+ * @param {number} matchIndex  Match to jump to (from a snippet), default first
+ * @returns {Promise<boolean>}  Success status
+ */
+async function openFromHistory(url, matchIndex = 0) {
+  try {
+    const tab = await chrome.tabs.create({ url: url, active: true });
+    await waitForTabLoad(tab.id, PAGE_LOAD_TIMEOUT);
+    return await switchToTabAndHighlight(tab.id, matchIndex);
+  } catch (error) {
+    console.error('Error reopening page:', error);
+    return false;
+  }
+}
+
+/**
+ * Save the page index settings; turning indexing off also forgets every
+ * indexed page and tab snapshot
+ * @param {Object} settings  { enabled, excludedDomains }
+ */
+async function setIndexSettings(settings) {
+  indexSettings = { ...indexSettings, ...settings };
+  chrome.storage.local.set({ indexSettings: indexSettings });
+
+  if (!indexSettings.enabled) {
+    await PageIndex.clear();
+  }
+}
+
+/**
+ * Check whether a message comes from one of the extension's own pages,
+ * such as the options page, rather than from a content script
+ * @param {chrome.runtime.MessageSender} sender  Message sender
+ * @returns {boolean}  True for extension pages
+ */
+function isExtensionPage(sender) {
+  return typeof sender.url === 'string' && sender.url.startsWith(chrome.runtime.getURL(''));
+}
+
+/**
+ * Stop the all-tabs search in flight, if any
+ */
+function cancelSearchAll() {
+  if (activeSearch) {
+    activeSearch.cancelled = true;
+    activeSearch = null;
+  }
 }
 
 /**
@@ -203,6 +1275,34 @@ async function navigateMatch(direction) {
   return null;
 }
 
+/**
+ * Replace the current match, or every editable match, in the active tab
+ * @param {string} replacement  Replacement text, with $1 etc. in regex mode
+ * @param {boolean} all  Replace every match rather than the current one
+ */
+async function replaceInActiveTab(replacement, all) {
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (activeTab) {
+    return await sendToTab(activeTab.id, { action: 'replace', replacement, all });
+  }
+
+  return null;
+}
+
+/**
+ * Undo the last replace in the active tab
+ */
+async function undoReplaceInActiveTab() {
+  const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+
+  if (activeTab) {
+    return await sendToTab(activeTab.id, { action: 'undoReplace' });
+  }
+
+  return null;
+}
+
 /**
  * Clear highlights in active tab
  */
@@ -218,9 +1318,12 @@ async function clearActiveTab() {
 
 /**
  * Switch to a tab and highlight matches
+ * The overlay is opened in the destination tab with the query filled in,
+ * so the search carries on where the user landed.
  * @param {number} tabId  Tab ID to switch to
+ * @param {number} matchIndex  Match to scroll to, in page order (default first)
  */
-async function switchToTabAndHighlight(tabId) {
+async function switchToTabAndHighlight(tabId, matchIndex = 0) {
   try {
     // Switch to the tab
     await chrome.tabs.update(tabId, { active: true });
@@ -228,10 +1331,33 @@ async function switchToTabAndHighlight(tabId) {
     // Get the tab's window and focus it
     const tab = await chrome.tabs.get(tabId);
     await chrome.windows.update(tab.windowId, { focused: true });
+
+    // A result from a snapshot needs the live page back: a discarded or
+    // unloaded tab reloads on activation, anything else is reloaded here
+    const cached = tabResults.get(tabId)?.cached;
+    if (cached && tab.status === 'complete') {
+      await chrome.tabs.reload(tabId);
+    }
+    if (cached || tab.status !== 'complete') {
+      await waitForTabLoad(tabId, PAGE_LOAD_TIMEOUT);
+    }
     
     // Highlight matches in the newly active tab
     if (globalQuery) {
-      await searchInTab(tabId, globalQuery, globalOptions, true);
+      const result = await searchInTab(tabId, getHighlightQuery(globalQuery, globalOptions), globalOptions, true);
+      let counts = result.counts;
+
+      if (matchIndex > 0) {
+        const response = await sendToTab(tabId, { action: 'goToMatch', index: matchIndex });
+        if (response?.counts) counts = response.counts;
+      }
+
+      await sendToTab(tabId, {
+        action: 'showOverlay',
+        query: globalQuery,
+        options: globalOptions,
+        counts: counts
+      });
     }
     
     return true;
@@ -260,14 +1386,66 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'searchAll':
         globalQuery = message.query;
         if (message.options) globalOptions = message.options;
-        const allResults = await searchAllTabs(message.query, globalOptions);
+        const allResults = await searchAllTabs(message.query, globalOptions, {
+          searchId: message.searchId,
+          tab: sender.tab
+        });
         sendResponse({ success: true, results: allResults });
         break;
+
+      case 'exportResults':
+        const exported = await exportResults(message.format, message.target);
+        sendResponse({ success: !exported.error, ...exported });
+        break;
+
+      case 'copyMatches':
+        const copied = await copyMatches(message.query, message.options || globalOptions, message.scope, message.columns, sender.tab);
+        sendResponse({ success: !copied.error, ...copied });
+        break;
+
+      case 'closeTabs':
+        const closing = await closeTabs(message.tabIds, sender.tab);
+        sendResponse({ success: !closing.error, ...closing });
+        break;
+
+      case 'undoCloseTabs':
+        const reopening = await undoCloseTabs(sender.tab);
+        sendResponse({ success: !reopening.error, ...reopening });
+        break;
+
+      case 'moveTabsToWindow':
+        const moving = await moveTabsToWindow(message.tabIds, sender.tab);
+        sendResponse({ success: !moving.error, ...moving });
+        break;
+
+      case 'groupTabs':
+        const grouping = await groupTabs(message.tabIds, message.title, sender.tab);
+        sendResponse({ success: !grouping.error, ...grouping });
+        break;
+
+      case 'bookmarkTabs':
+        const bookmarking = await bookmarkTabs(message.tabIds, message.title);
+        sendResponse({ success: !bookmarking.error, ...bookmarking });
+        break;
+
+      case 'getScope':
+        sendResponse({ success: true, scope: searchScope });
+        break;
+
+      case 'setScope':
+        setSearchScope(message.scope);
+        sendResponse({ success: true, scope: searchScope });
+        break;
+
+      case 'cancelSearchAll':
+        cancelSearchAll();
+        sendResponse({ success: true });
+        break;
         
       case 'searchActive':
         globalQuery = message.query;
         if (message.options) globalOptions = message.options;
-        const activeResult = await highlightActiveTab(message.query, globalOptions);
+        const activeResult = await highlightActiveTab(getHighlightQuery(message.query, globalOptions), globalOptions);
         sendResponse({ success: true, result: activeResult });
         break;
         
@@ -280,12 +1458,59 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         await clearActiveTab();
         sendResponse({ success: true });
         break;
+
+      case 'replace':
+        const replaced = await replaceInActiveTab(message.replacement, message.all);
+        sendResponse({ success: Boolean(replaced), result: replaced });
+        break;
+
+      case 'undoReplace':
+        const restored = await undoReplaceInActiveTab();
+        sendResponse({ success: Boolean(restored), result: restored });
+        break;
         
       case 'switchTab':
-        const switched = await switchToTabAndHighlight(message.tabId);
+        const switched = await switchToTabAndHighlight(message.tabId, message.matchIndex);
         sendResponse({ success: switched });
         break;
         
+      case 'openHistory':
+        const reopened = await openFromHistory(message.url, message.matchIndex);
+        sendResponse({ success: reopened });
+        break;
+
+      case 'getIndexSettings':
+      case 'setIndexSettings':
+      case 'clearIndex':
+        // Only the options page may see or change the index; a content
+        // script is driven by whatever page it runs in
+        if (!isExtensionPage(sender)) {
+          sendResponse({ success: false, error: 'Not allowed here' });
+          break;
+        }
+        if (message.action === 'setIndexSettings') await setIndexSettings(message.settings);
+        if (message.action === 'clearIndex') await PageIndex.clear();
+        sendResponse({ success: true, settings: indexSettings });
+        break;
+
+      case 'frameMessage':
+        // Content scripts cannot reach other frames themselves; the
+        // receiving frame learns which frame to report back to
+        if (!sender.tab) {
+          sendResponse({ success: false, error: 'No tab' });
+          break;
+        }
+        sendResponse(await sendToTab(sender.tab.id, { ...message.message, sourceFrameId: sender.frameId }, message.frameId));
+        break;
+
+      case 'snapshot':
+        // Sent by a page as it goes into the background, so a later
+        // discard does not lose what it showed last
+        if (sender.tab) await storePageText(sender.tab, sender.url, message);
+        sendResponse({ success: true });
+        break;
+
+        
       case 'getTabResults':
         sendResponse({ 
           success: true, 
@@ -304,6 +1529,32 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'getOptions':
         sendResponse({ success: true, options: globalOptions });
         break;
+
+      case 'openOptions':
+        await chrome.runtime.openOptionsPage();
+        sendResponse({ success: true });
+        break;
+
+      case 'getSearches':
+        sendResponse({ success: true, ...await getSearches() });
+        break;
+
+      case 'addHistory':
+        sendResponse({ success: true, history: await addToHistory(message.query, message.options) });
+        break;
+
+      case 'clearHistory':
+        await chrome.storage.local.set({ searchHistory: [] });
+        sendResponse({ success: true, history: [] });
+        break;
+
+      case 'saveSearch':
+        sendResponse({ success: true, saved: await saveSearch(message.name, message.query, message.options) });
+        break;
+
+      case 'deleteSavedSearch':
+        sendResponse({ success: true, saved: await deleteSavedSearch(message.name) });
+        break;
         
       default:
         sendResponse({ success: false, error: 'Unknown action' });
@@ -324,4 +1575,12 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   tabResults.delete(tabId);
 });
 
+// Snapshots are only kept for pages some tab still shows
+chrome.tabs.onRemoved.addListener(async () => {
+  const tabs = await chrome.tabs.query({});
+  PageIndex.pruneSnapshots(new Set(tabs.map(tab => tab.url))).catch(error => {
+    console.error('Page index error:', error);
+  });
+});
+
 console.log('CTRL+F Pro background service worker started');
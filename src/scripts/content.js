@@ -13,49 +13,165 @@
   let currentMatches = [];
   let currentIndex = -1;
   let highlightElements = [];
-  let overlayVisible = false;
-  let searchOptions = {
-    caseSensitive: false,
-    wholeWord: false
-  };
+  let highlightRegistries = new Map();
+  let fieldElements = [];
+  let injectedStyles = [];
+  let styledRoots = new Set();
+  let observedRoots = new Set();
+  let observer = null;
+  let liveSearch = null;
+  let pendingMutations = [];
+  let rescanTimer = null;
+  let scanId = 0;
+  let scanning = false;
+  let highlightedCount = 0;
+  let searchWorker;
+  let workerSearchKey = 0;
+  let workerRequestId = 0;
+  let workerRequests = new Map();
+  let lastSnapshot = 0;
+  let snapshotInFlight = null;
+  let snapshotsEnabled = false;
+  let searchTruncated = false;
+  let searchBlocked = false;
+  let searchTerms = null;
+  let searchOptions = { ...Settings.DEFAULTS.searchOptions };
+  let colorCss = '';
+  let colorStyle = null;
+  let minimap = null;
+  let minimapTimer = null;
+  let minimapScroller = null;
+  let minimapObserver = null;
+  let replaceHistory = [];
+  let crossOriginFrames = new Set();
+  let remoteFrames = new Map();
+  let litFrame = null;
+  let parentFrameId = null;
 
   // Constants
   const HIGHLIGHT_CLASS = 'ctrlf-pro-highlight';
   const HIGHLIGHT_CURRENT_CLASS = 'ctrlf-pro-highlight-current';
+  const FIELD_MATCH_CLASS = 'ctrlf-pro-field-match';
+  const FIELD_CURRENT_CLASS = 'ctrlf-pro-field-current';
+  const TERM_CLASS_PREFIX = 'ctrlf-pro-term-';
+  const TERM_COLOR_COUNT = 6;
+  const CURRENT_HIGHLIGHT_NAME = 'ctrlf-pro-current';
+  const USE_HIGHLIGHT_API = typeof CSS !== 'undefined' && Boolean(CSS.highlights) && typeof Highlight === 'function';
+  const SNIPPET_CONTEXT = 40;
+  const RESCAN_DELAY = 200;
+  const SLICE_BUDGET = 12;
+  const HIDDEN_SLICE_BUDGET = 50;
+  const SLICE_CHECK_INTERVAL = 64;
+  const MAX_EAGER_HIGHLIGHTS = 1000;
+  const WORKER_MIN_CHARS = 50000;
+  const WORKER_TIMEOUT = 2000;
+  const REGEX_BLOCKED = 'Regex blocked here';
+  const SNAPSHOT_INTERVAL = 60000;
+  const SNAPSHOT_MAX_CHARS = 500000;
+  const SNAPSHOT_IDLE_TIMEOUT = 5000;
   const OVERLAY_ID = 'ctrlf-pro-overlay';
+  const MINIMAP_ID = 'ctrlf-pro-minimap';
+  const MINIMAP_DELAY = 100;
+  const MINIMAP_TICK_HEIGHT = 3;
+  const MAX_REPLACE_UNDO = 20;
+  const MAX_COLLECTED_MATCHES = 10000;
+  const SKIPPED_TAGS = ['script', 'style', 'noscript', 'textarea', 'input'];
+  const FRAME_TAGS = ['iframe', 'frame'];
+  const IS_TOP_FRAME = window === window.top;
+  const FIELD_INPUT_TYPES = ['text', 'search', 'url', 'email', 'tel'];
 
   /**
-   * Get all text nodes in the document
-   * @returns {Node[]} Array of text nodes
+   * Check whether an element is a text field whose value can be searched
+   * @param {Element} el  Element to check
+   * @returns {boolean}  True for textareas and text-like inputs
    */
-  function getTextNodes() {
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
+  function isSearchableField(el) {
+    const tagName = el.tagName.toLowerCase();
+    if (tagName === 'textarea') return true;
+    return tagName === 'input' && FIELD_INPUT_TYPES.includes((el.getAttribute('type') || 'text').toLowerCase());
+  }
+
+  /**
+   * Look up the two style properties the walk needs, once per element
+   * @param {Element} el  Element to check
+   * @param {Map} styles  Element -> { display, visibility } cache for one walk
+   * @returns {Object}  { display, visibility }
+   */
+  function getStyle(el, styles) {
+    let style = styles.get(el);
+    if (!style) {
+      const computed = el.ownerDocument.defaultView.getComputedStyle(el);
+      style = { display: computed.display, visibility: computed.visibility };
+      styles.set(el, style);
+    }
+    return style;
+  }
+
+  /**
+   * Walk a subtree and yield its visible text nodes.
+   * An element's open shadow root is walked right where the host sits, and
+   * a same-origin frame's document right where the frame element sits.
+   * Cross-origin frames cannot be read from here; they are noted in
+   * crossOriginFrames and searched by their own copy of this script, see
+   * searchFrames(). Closed shadow roots are left out. Contenteditable
+   * regions are walked like any other text.
+   * With includeFields, text fields are included too; they are yielded as
+   * elements in place of text nodes, see TextModel.buildBlocks().
+   *
+   * Styles are looked up per element rather than per text node, and a
+   * display: none element is skipped with everything below it, so the
+   * text nodes themselves never trigger a style lookup.
+   * @param {Node} root  Element or shadow root to walk
+   * @param {boolean} includeFields  Whether to include fields and editable text
+   * @param {Map} styles  Style cache, see getStyle()
+   * @yields {Node}  Text nodes and field elements in page order
+   */
+  function* walkTextNodes(root, includeFields, styles) {
+    const doc = root.ownerDocument || root;
+
+    const walker = doc.createTreeWalker(
+      root,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
       {
         acceptNode: function(node) {
-          // Skip script, style, and hidden elements
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          
-          const tagName = parent.tagName.toLowerCase();
-          if (['script', 'style', 'noscript', 'iframe', 'textarea', 'input'].includes(tagName)) {
-            return NodeFilter.FILTER_REJECT;
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            // Skip script, style and form fields, plus our own overlay
+            const tagName = node.tagName.toLowerCase();
+            const field = includeFields && isSearchableField(node);
+            if ((SKIPPED_TAGS.includes(tagName) && !field) || node.id === OVERLAY_ID) {
+              return NodeFilter.FILTER_REJECT;
+            }
+
+            // Nothing below a display: none element is rendered
+            const style = getStyle(node, styles);
+            if (style.display === 'none') return NodeFilter.FILTER_REJECT;
+
+            if (field) {
+              return style.visibility === 'hidden' ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+            }
+
+            return NodeFilter.FILTER_ACCEPT;
           }
-          
-          // Skip our own overlay
-          if (parent.closest(`#${OVERLAY_ID}`)) {
+
+          // Text right inside a shadow root renders in its host
+          const parent = TextModel.getTextParent(node);
+          if (!parent) return NodeFilter.FILTER_REJECT;
+
+          // A textarea's default value is a text node child; a field is
+          // searched through its value instead
+          if (SKIPPED_TAGS.includes(parent.tagName.toLowerCase())) {
             return NodeFilter.FILTER_REJECT;
           }
-          
-          // Skip hidden elements
-          const style = window.getComputedStyle(parent);
-          if (style.display === 'none' || style.visibility === 'hidden') {
+
+          // visibility: hidden is inherited but can be undone further down,
+          // so it is judged on the text's own parent
+          if (getStyle(parent, styles).visibility === 'hidden') {
             return NodeFilter.FILTER_REJECT;
           }
           
-          // Only accept nodes with actual text content
-          if (node.textContent.trim().length === 0) {
+          // Skip empty nodes; whitespace only nodes are kept since they
+          // separate words that sit in different inline elements
+          if (node.textContent.length === 0) {
             return NodeFilter.FILTER_REJECT;
           }
           
@@ -64,165 +180,1719 @@
       }
     );
 
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-      textNodes.push(node);
+    let node;
+    while (node = walker.nextNode()) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        yield node;
+        continue;
+      }
+
+      if (includeFields && isSearchableField(node)) {
+        yield node;
+        continue;
+      }
+
+      yield* walkNestedRoots(node, includeFields, styles);
+    }
+  }
+
+  /**
+   * Walk the shadow root or frame document an element opens, if any
+   * @param {Element} el  Possible shadow host or frame element
+   * @param {boolean} includeFields  Whether to include fields and editable text
+   * @param {Map} styles  Style cache, see getStyle()
+   * @yields {Node}  Text nodes and field elements in page order
+   */
+  function* walkNestedRoots(el, includeFields, styles) {
+    if (el.shadowRoot) {
+      observedRoots.add(el.shadowRoot);
+      yield* walkTextNodes(el.shadowRoot, includeFields, styles);
+    }
+
+    if (FRAME_TAGS.includes(el.tagName.toLowerCase())) {
+      const frameDoc = getFrameDocument(el);
+      if (frameDoc && frameDoc.body) {
+        observedRoots.add(frameDoc.body);
+        yield* walkTextNodes(frameDoc.body, includeFields, styles);
+      } else if (!frameDoc) {
+        crossOriginFrames.add(el);
+      }
+    }
+  }
+
+  /**
+   * Get a frame's document if this script is allowed to read it
+   * @param {Element} frame  iframe or frame element
+   * @returns {Document|null}  The document, or null if cross-origin
+   */
+  function getFrameDocument(frame) {
+    try {
+      return frame.contentDocument;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Make sure highlight styles apply where a text node lives.
+   * overlay.css and highlight.css only reach the top document, so shadow
+   * roots and frames get their own link to highlight.css.
+   * @param {Node} node  Text node about to be highlighted
+   */
+  function ensureHighlightStyles(node) {
+    const root = node.getRootNode();
+    if (root === document || styledRoots.has(root)) return;
+
+    const doc = root.ownerDocument || root;
+    const link = doc.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = chrome.runtime.getURL('src/styles/highlight.css');
+    link.dataset.ctrlfPro = 'highlight';
+
+    // Custom colours have to follow the link, see applyColors()
+    const colors = doc.createElement('style');
+    colors.dataset.ctrlfPro = 'colors';
+    colors.textContent = colorCss;
+
+    const container = root.nodeType === Node.DOCUMENT_NODE ? (root.head || root.documentElement) : root;
+    container.appendChild(link);
+    container.appendChild(colors);
+
+    styledRoots.add(root);
+    injectedStyles.push(link, colors);
+  }
+
+  /**
+   * Apply the highlight colours from the options page, to this document
+   * and to every shadow root and frame that has its own highlight styles
+   * @param {Object} colors  Colour settings, see settings.js
+   */
+  function applyColors(colors) {
+    colorCss = Settings.colorCss(colors);
+
+    if (colorCss && !colorStyle) {
+      colorStyle = document.createElement('style');
+      colorStyle.dataset.ctrlfPro = 'colors';
+      (document.head || document.documentElement).appendChild(colorStyle);
+    } else if (!colorCss && colorStyle) {
+      colorStyle.remove();
+      colorStyle = null;
+    }
+
+    if (colorStyle) colorStyle.textContent = colorCss;
+    injectedStyles.forEach(el => {
+      if (el.dataset.ctrlfPro === 'colors') el.textContent = colorCss;
+    });
+  }
+
+  /**
+   * Take on new settings from the options page
+   * @param {Object} settings  Settings, see settings.js
+   */
+  function applySettings(settings) {
+    searchOptions = { ...settings.searchOptions };
+    applyColors(settings.colors);
+  }
+
+  /**
+   * Clear all highlights
+   */
+  function clearHighlights() {
+    // Stop any scan still in progress
+    scanId++;
+    scanning = false;
+    highlightedCount = 0;
+    stopLiveUpdates();
+    clearFrames();
+
+    // Remove highlight wrappers and restore original text, remembering
+    // which parents now hold split text nodes
+    const parents = new Set();
+    highlightElements.forEach(el => unwrapHighlight(el, parents));
+    highlightElements = [];
+    clearRangeHighlights();
+    fieldElements.forEach(el => {
+      el.classList.remove(FIELD_MATCH_CLASS, FIELD_CURRENT_CLASS);
+      if (el.classList.length === 0) el.removeAttribute('class');
+    });
+    fieldElements = [];
+    currentMatches = [];
+    currentIndex = -1;
+    searchTruncated = false;
+    searchBlocked = false;
+    searchTerms = null;
+
+    injectedStyles.forEach(el => el.remove());
+    injectedStyles = [];
+    styledRoots = new Set();
+    removeMinimap();
+    
+    // Normalize text nodes
+    parents.forEach(parent => parent.normalize());
+  }
+
+  /**
+   * Get the highlights registered for a document, registering them on
+   * first use. Each frame has its own highlight registry, so a frame's
+   * ranges are painted through its own window.
+   * @param {Document} doc  Document the ranges live in
+   * @returns {Object}  { view, terms, current }: one Highlight per term colour and one for the current match
+   */
+  function getHighlights(doc) {
+    if (highlightRegistries.has(doc)) return highlightRegistries.get(doc);
+
+    const view = doc.defaultView || window;
+    const terms = [];
+    for (let i = 0; i < TERM_COLOR_COUNT; i++) {
+      const highlight = new view.Highlight();
+      view.CSS.highlights.set(TERM_CLASS_PREFIX + i, highlight);
+      terms.push(highlight);
+    }
+
+    // Paint the current match over its term colour
+    const current = new view.Highlight();
+    current.priority = 1;
+    view.CSS.highlights.set(CURRENT_HIGHLIGHT_NAME, current);
+
+    const entry = { view, terms, current };
+    highlightRegistries.set(doc, entry);
+    return entry;
+  }
+
+  /**
+   * Paint a match's range without touching the DOM
+   * @param {Object} match  { range, term }
+   */
+  function paintRange(match) {
+    const node = match.range.startContainer;
+    ensureHighlightStyles(node);
+    getHighlights(node.ownerDocument).terms[(match.term || 0) % TERM_COLOR_COUNT].add(match.range);
+  }
+
+  /**
+   * Stop painting a match's range
+   * @param {Object} match  { range, term }
+   */
+  function unpaintRange(match) {
+    const entry = highlightRegistries.get(match.range.startContainer.ownerDocument);
+    if (!entry) return;
+    entry.terms[(match.term || 0) % TERM_COLOR_COUNT].delete(match.range);
+    entry.current.delete(match.range);
+  }
+
+  /**
+   * Unregister every highlight this script registered
+   */
+  function clearRangeHighlights() {
+    highlightRegistries.forEach(entry => {
+      for (let i = 0; i < TERM_COLOR_COUNT; i++) {
+        entry.view.CSS.highlights.delete(TERM_CLASS_PREFIX + i);
+      }
+      entry.view.CSS.highlights.delete(CURRENT_HIGHLIGHT_NAME);
+    });
+    highlightRegistries = new Map();
+  }
+
+  /**
+   * Replace a highlight span with its plain text
+   * @param {Element} el  Highlight span
+   * @param {Set} parents  Collects parents that need normalizing
+   */
+  function unwrapHighlight(el, parents) {
+    if (!el.parentNode) return;
+    parents.add(el.parentNode);
+    const text = el.ownerDocument.createTextNode(el.textContent);
+    el.parentNode.replaceChild(text, el);
+  }
+
+  /**
+   * Find the matches in one flattened block.
+   * Overlapping matches (e.g. "aa" in "aaa") are dropped, since a piece of
+   * text can only be wrapped once; counting uses the same rule so counts
+   * and highlights always agree. Whether a term occurs at all is judged
+   * before that, see notePresence().
+   * @param {Object} block  Block from TextModel.buildBlocks()
+   * @param {Object} search  { state }, see scanPage()
+   * @returns {Array}  Non-overlapping { text, index, length } matches
+   */
+  function findBlockMatches(block, search) {
+    const found = SearchEngine.scan(block.text, search.state);
+    notePresence(search, found);
+    return SearchEngine.dropOverlaps(found);
+  }
+
+  /**
+   * Note which terms occur in a list of matches, overlapping ones included
+   * Boolean queries judge a page on this, so "pay AND payment" holds on a
+   * page that only says "payment", even though that match hides the "pay"
+   * inside it from the counts.
+   * @param {Object} search  Search being scanned; present[term] is set on it
+   * @param {Array} matches  Matches from SearchEngine.scan(), before dropOverlaps()
+   */
+  function notePresence(search, matches) {
+    if (!search.present) search.present = [];
+    matches.forEach(m => { search.present[m.term || 0] = true; });
+  }
+
+  /**
+   * Wrap the matched pieces of one text node in highlight spans
+   * @param {Node} textNode  Text node to replace
+   * @param {Object[]} pieces  { start, end, match } sorted by start
+   */
+  function wrapPieces(textNode, pieces) {
+    // Nodes may live in a frame, so build with that frame's document
+    const doc = textNode.ownerDocument;
+    const text = textNode.textContent;
+    const fragment = doc.createDocumentFragment();
+
+    ensureHighlightStyles(textNode);
+    let lastIndex = 0;
+
+    pieces.forEach(piece => {
+      // Add text before match
+      if (piece.start > lastIndex) {
+        fragment.appendChild(doc.createTextNode(text.slice(lastIndex, piece.start)));
+      }
+
+      // Create highlight span
+      const span = doc.createElement('span');
+      span.className = HIGHLIGHT_CLASS;
+      if (piece.match.term !== undefined) {
+        span.classList.add(TERM_CLASS_PREFIX + (piece.match.term % TERM_COLOR_COUNT));
+      }
+      span.textContent = text.slice(piece.start, piece.end);
+
+      fragment.appendChild(span);
+      highlightElements.push(span);
+      piece.match.elements.push(span);
+
+      lastIndex = piece.end;
+    });
+
+    // Add remaining text
+    if (lastIndex < text.length) {
+      fragment.appendChild(doc.createTextNode(text.slice(lastIndex)));
+    }
+
+    // Replace text node with fragment
+    textNode.parentNode.replaceChild(fragment, textNode);
+  }
+
+  /**
+   * Highlight matches in the DOM
+   * Where the browser has the CSS Custom Highlight API, each match is a
+   * Range painted through CSS.highlights and the page's DOM is left alone,
+   * so framework-managed nodes and their listeners are never replaced.
+   * Elsewhere matches are wrapped in spans; a match that spans several text
+   * nodes is wrapped piece by piece, but is still one entry in
+   * currentMatches, so it counts and navigates as one.
+   *
+   * Fields and editable regions are never wrapped: spans cannot go inside
+   * an input, and would end up in the user's text inside an editor. Their
+   * matches keep offsets (fields) or a Range (editable text) instead, and
+   * are shown by selecting them when navigated to.
+   * The page is scanned in time slices (see scanPage()), so matches and
+   * counts arrive progressively; overlay.js hears about each slice through
+   * MatchCounts. Only the first MAX_EAGER_HIGHLIGHTS matches are painted
+   * up front. The rest are counted and navigable, and painted one at a
+   * time as they become current.
+   * @param {string} query  Search query
+   * @param {Object} options  Search options
+   * @returns {Promise<number|null>}  Number of matches found, or null if a newer search replaced this one
+   */
+  async function highlightMatches(query, options = searchOptions) {
+    clearHighlights();
+    const id = scanId;
+
+    const state = SearchEngine.prepare(query, options);
+    if (!state) return 0;
+
+    searchTerms = state.terms || null;
+    scanning = true;
+    observedRoots = new Set([document.body]);
+    crossOriginFrames = new Set();
+    startLiveUpdates(query, options);
+
+    const search = { query, options, state };
+    const finished = await scanPage(search, () => id !== scanId, (blocks, found) => {
+      renderBlocks(blocks, found).forEach(match => currentMatches.push(match));
+
+      // A regex that ran out of time or hit the match cap leaves the rest unscanned
+      searchTruncated = Boolean(state.truncated || search.truncated);
+      searchBlocked = Boolean(search.blocked);
+
+      // Auto-select first match
+      if (currentIndex === -1 && currentMatches.length > 0) {
+        currentIndex = 0;
+        updateCurrentHighlight();
+      }
+
+      // Our own wrapping is not page content
+      observer.takeRecords();
+      observeRoots();
+      notifyCounts();
+    });
+
+    if (!finished) return null;
+
+    await searchFrames(query, options, () => id !== scanId);
+    if (id !== scanId) return null;
+
+    scanning = false;
+    notifyCounts();
+
+    // Apply changes the page made while the scan was still running
+    if (pendingMutations.length > 0) {
+      clearTimeout(rescanTimer);
+      rescanTimer = setTimeout(applyMutations, RESCAN_DELAY);
+    }
+
+    return currentMatches.length;
+  }
+
+  /**
+   * Walk the whole page in time slices
+   * Text nodes are walked and grouped into blocks until the slice's time
+   * budget runs out, then the completed blocks are handed to onBatch and
+   * the walk yields to the event loop, so the page keeps responding to
+   * input on very large documents. A hidden tab has no input to respond
+   * to but still runs its own scripts, so the walk yields there too, only
+   * less often; yieldToPage() is not held back in hidden tabs the way
+   * timers are. onBatch always runs once more at the end, and sees every
+   * block exactly once, in page order.
+   * @param {Object} options  Search options (includeFields)
+   * @param {Function} isCancelled  Checked after each yield; stops the walk when it returns true
+   * @param {Function} onBatch  Called with each batch of completed blocks;
+   *                            may return a promise, which is awaited, and
+   *                            false to stop the walk
+   * @returns {Promise<boolean>}  False if the walk was cancelled or stopped
+   */
+  async function walkBlocks(options, isCancelled, onBatch) {
+    const builder = TextModel.createBuilder();
+    const styles = new Map();
+    let batch = [];
+    let sliceStart = performance.now();
+    let walked = 0;
+
+    for (const node of walkTextNodes(document.body, Boolean(options.includeFields), styles)) {
+      builder.add(node).forEach(block => batch.push(block));
+
+      const budget = document.hidden ? HIDDEN_SLICE_BUDGET : SLICE_BUDGET;
+      if (++walked % SLICE_CHECK_INTERVAL === 0 && performance.now() - sliceStart > budget) {
+        if (await onBatch(batch) === false) return false;
+        batch = [];
+
+        await yieldToPage();
+        if (isCancelled()) return false;
+        sliceStart = performance.now();
+      }
+    }
+
+    builder.flush().forEach(block => batch.push(block));
+    return await onBatch(batch) !== false;
+  }
+
+  /**
+   * Let the page handle pending input and rendering, then carry on
+   * A zero delay setTimeout() is clamped to 4ms after a few nested calls,
+   * and much more in background tabs; scheduler.yield(), or a message to
+   * ourselves where it is missing, resumes as soon as the page is idle.
+   * @returns {Promise<void>}
+   */
+  function yieldToPage() {
+    if (typeof scheduler !== 'undefined' && typeof scheduler.yield === 'function') {
+      return scheduler.yield();
+    }
+
+    return new Promise(resolve => {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        resolve();
+      };
+      channel.port2.postMessage(null);
+    });
+  }
+
+  /**
+   * Search the whole page in time slices, see walkBlocks()
+   * @param {Object} search  { query, options, state }; truncated is set on it
+   *                         if the search worker stopped a regex early
+   * @param {Function} isCancelled  Checked after each yield; stops the scan when it returns true
+   * @param {Function} onBlocks  Called with each batch of completed blocks
+   *                             and the matches found per block
+   * @returns {Promise<boolean>}  False if the scan was cancelled
+   */
+  async function scanPage(search, isCancelled, onBlocks) {
+    const key = ++workerSearchKey;
+
+    try {
+      return await walkBlocks(search.options, isCancelled, async (batch) => {
+        const found = await matchBlocks(batch, search, key);
+        if (isCancelled()) return false;
+        onBlocks(batch, found);
+        return true;
+      });
+    } finally {
+      if (searchWorker) searchWorker.postMessage({ key, done: true });
+    }
+  }
+
+  /**
+   * Extract the visible text of the page, one line per block, for the
+   * background's page index. Form fields and editable text are left out.
+   * @param {number} maxChars  Stop once this much text is collected
+   * @returns {Promise<string>}  Page text
+   */
+  async function extractPageText(maxChars) {
+    const lines = [];
+    let size = 0;
+
+    await walkBlocks({ includeFields: false }, () => false, (batch) => {
+      for (const block of batch) {
+        if (block.segments.some(seg => TextModel.getTextParent(seg.node).isContentEditable)) continue;
+        lines.push(block.text);
+        size += block.text.length + 1;
+        if (size >= maxChars) return false;
+      }
+      return true;
+    });
+
+    return lines.join('\n').slice(0, maxChars);
+  }
+
+  /**
+   * Find the matches of a batch of blocks
+   * Batches with a lot of text are sent to the search worker, so matching
+   * does not block the page. So is every regex batch, since only a worker
+   * can be stopped in the middle of a runaway regex. Other small batches,
+   * and all of them when no worker can be started, are matched right
+   * here. A regex never is: without a worker the search is refused, and
+   * search.blocked and search.truncated are set. Once the worker has
+   * missed its deadline the search is cut short: the remaining blocks get
+   * no matches and search.truncated is set.
+   * @param {Object[]} blocks  Completed blocks
+   * @param {Object} search  { query, options, state }, see scanPage()
+   * @param {number} key  Identifies the scan to the worker
+   * @returns {Promise<Object[][]>}  Non-overlapping matches per block
+   */
+  async function matchBlocks(blocks, search, key) {
+    if (search.timedOut) return blocks.map(() => []);
+
+    let size = 0;
+    blocks.forEach(block => { size += block.text.length; });
+
+    const worker = search.options.regex || size >= WORKER_MIN_CHARS ? getSearchWorker() : null;
+    if (worker) {
+      try {
+        return await matchInWorker(worker, blocks, search, key);
+      } catch (error) {
+        if (error.timedOut) {
+          search.timedOut = true;
+          search.truncated = true;
+          return blocks.map(() => []);
+        }
+        // Otherwise fall through and match on this thread
+      }
+    }
+
+    if (search.options.regex) {
+      search.timedOut = true;
+      search.blocked = true;
+      search.truncated = true;
+      return blocks.map(() => []);
+    }
+
+    return blocks.map(block => findBlockMatches(block, search));
+  }
+
+  /**
+   * Start the search worker, once
+   * Pages cannot load extension scripts as workers directly, so the worker
+   * is a blob that imports them. A page whose CSP forbids blob workers
+   * leaves searchWorker null, and all matching stays on this thread. A
+   * worker stopped for missing its deadline leaves it undefined, so the
+   * next search starts a fresh one.
+   * @returns {Worker|null}  The worker, or null if it cannot run here
+   */
+  function getSearchWorker() {
+    if (searchWorker !== undefined) return searchWorker;
+
+    try {
+      const scripts = ['src/scripts/search-engine.js', 'src/scripts/search-worker.js']
+        .map(path => JSON.stringify(chrome.runtime.getURL(path)));
+      const blob = new Blob([`importScripts(${scripts.join(', ')});`], { type: 'text/javascript' });
+      const url = URL.createObjectURL(blob);
+
+      searchWorker = new Worker(url);
+      URL.revokeObjectURL(url);
+
+      searchWorker.onmessage = (event) => {
+        const request = workerRequests.get(event.data.id);
+        if (!request) return;
+        workerRequests.delete(event.data.id);
+
+        if (event.data.error) {
+          request.reject(new Error(event.data.error));
+        } else {
+          request.resolve(event.data);
+        }
+      };
+
+      // A worker blocked by CSP or failing to load reports here; give up
+      // on it for good and let waiting batches fall back
+      searchWorker.onerror = () => stopSearchWorker(new Error('Search worker failed'), null);
+    } catch (error) {
+      searchWorker = null;
+    }
+
+    return searchWorker;
+  }
+
+  /**
+   * Terminate the search worker and fail every request still waiting on it
+   * @param {Error} error  Rejects the waiting requests
+   * @param {null|undefined} next  null to stop using a worker, undefined
+   *                               to start a new one on the next search
+   */
+  function stopSearchWorker(error, next) {
+    if (searchWorker) searchWorker.terminate();
+    searchWorker = next;
+    workerRequests.forEach(request => request.reject(error));
+    workerRequests.clear();
+  }
+
+  /**
+   * Match a batch of blocks in the search worker
+   * Only the block texts are sent; the offsets that come back are turned
+   * into matches against the same blocks, and so into DOM ranges, here.
+   * A regex can hang inside a single exec() call, where the worker's own
+   * time budget is never checked, so a reply that takes longer than
+   * WORKER_TIMEOUT stops the worker; the error it rejects with has
+   * timedOut set.
+   * @param {Worker} worker  Search worker
+   * @param {Object[]} blocks  Completed blocks
+   * @param {Object} search  { query, options, state }, see scanPage()
+   * @param {number} key  Identifies the scan to the worker
+   * @returns {Promise<Object[][]>}  Non-overlapping matches per block
+   */
+  async function matchInWorker(worker, blocks, search, key) {
+    const id = ++workerRequestId;
+    const reply = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = new Error('Search worker timed out');
+        error.timedOut = true;
+        stopSearchWorker(error, undefined);
+      }, WORKER_TIMEOUT);
+
+      workerRequests.set(id, {
+        resolve: data => { clearTimeout(timer); resolve(data); },
+        reject: error => { clearTimeout(timer); reject(error); }
+      });
+      worker.postMessage({
+        id,
+        key,
+        query: search.query,
+        options: search.options,
+        texts: blocks.map(block => block.text)
+      });
+    });
+
+    if (reply.truncated) search.truncated = true;
+
+    const found = blocks.map(() => []);
+    const data = reply.matches;
+    for (let i = 0; i < data.length; i += 4) {
+      const block = blocks[data[i]];
+      const index = data[i + 1];
+      const length = data[i + 2];
+      const m = { text: block.text.slice(index, index + length), index, length };
+      if (data[i + 3] !== -1) m.term = data[i + 3];
+      found[data[i]].push(m);
+    }
+
+    found.forEach(matches => notePresence(search, matches));
+    return found.map(matches => SearchEngine.dropOverlaps(matches));
+  }
+
+  /**
+   * Highlight the matches found in blocks
+   * @param {Object[]} blocks  Blocks from TextModel.buildBlocks()
+   * @param {Object[][]} foundPerBlock  Matches per block, from findBlockMatches() or the worker
+   * @returns {Object[]}  New match entries, in document order
+   */
+  function renderBlocks(blocks, foundPerBlock) {
+    const matches = [];
+
+    // Collect the pieces to wrap per text node before touching the DOM,
+    // since a node can hold pieces of several matches
+    const piecesByNode = new Map();
+
+    blocks.forEach((block, i) => {
+      const found = foundPerBlock[i];
+      if (found.length === 0 || !isBlockIntact(block)) return;
+
+      if (block.field) {
+        found.forEach(m => {
+          matches.push({ field: block.element, start: m.index, end: m.index + m.length, text: m.text, term: m.term });
+        });
+        markField(block.element);
+        return;
+      }
+
+      const editable = block.segments.some(seg => TextModel.getTextParent(seg.node).isContentEditable);
+
+      // Past the cap matches are only recorded, as ranges; the block that
+      // crosses the cap is still highlighted as a whole
+      const deferred = highlightedCount >= MAX_EAGER_HIGHLIGHTS;
+      if (!deferred) highlightedCount += found.length;
+
+      found.forEach(m => {
+        const parts = TextModel.mapRange(block, m.index, m.length);
+
+        if (USE_HIGHLIGHT_API || editable || deferred) {
+          const match = { range: createRange(parts), text: m.text, term: m.term, editable, deferred };
+          // Replacing re-runs a regex on the match, which needs the text
+          // around it for lookbehind, ^ and $
+          if (editable) Object.assign(match, { blockText: block.text, index: m.index });
+          if (USE_HIGHLIGHT_API && !deferred) paintRange(match);
+          matches.push(match);
+          return;
+        }
+
+        const match = { elements: [], text: m.text, term: m.term };
+        matches.push(match);
+
+        parts.forEach(part => {
+          if (!piecesByNode.has(part.node)) piecesByNode.set(part.node, []);
+          piecesByNode.get(part.node).push({ start: part.start, end: part.end, match });
+        });
+      });
+    });
+
+    piecesByNode.forEach((pieces, textNode) => wrapPieces(textNode, pieces));
+
+    return matches;
+  }
+
+  /**
+   * Check that a block's nodes still hold the text it was built from
+   * The page may change while a batch is out being matched; those changes
+   * are rescanned by the live updates, so a stale block is just skipped.
+   * @param {Object} block  Block from TextModel.buildBlocks()
+   * @returns {boolean}  True if its offsets still fit the DOM
+   */
+  function isBlockIntact(block) {
+    if (block.field) return block.element.isConnected;
+    return block.segments.every(seg =>
+      seg.node.isConnected && seg.node.length === seg.end - seg.start
+    );
+  }
+
+  /**
+   * Outline a field that holds matches
+   * @param {Element} field  input or textarea
+   */
+  function markField(field) {
+    ensureHighlightStyles(field);
+    field.classList.add(FIELD_MATCH_CLASS);
+    fieldElements.push(field);
+  }
+
+  /**
+   * Build one Range covering the node pieces of a match
+   * @param {Object[]} parts  { node, start, end } from TextModel.mapRange()
+   * @returns {Range}  Range from the first piece's start to the last one's end
+   */
+  function createRange(parts) {
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    const range = first.node.ownerDocument.createRange();
+    range.setStart(first.node, first.start);
+    range.setEnd(last.node, last.end);
+    return range;
+  }
+
+  /**
+   * Update the current highlight styling
+   */
+  function updateCurrentHighlight() {
+    // Remove current class from all
+    highlightElements.forEach(el => {
+      el.classList.remove(HIGHLIGHT_CURRENT_CLASS);
+    });
+    fieldElements.forEach(el => {
+      el.classList.remove(FIELD_CURRENT_CLASS);
+    });
+    highlightRegistries.forEach(entry => entry.current.clear());
+
+    scheduleMinimap();
+
+    // A frame's matches are painted by the frame itself
+    const current = currentMatches[currentIndex];
+    const frame = current && current.frame ? current.frame : null;
+    if (litFrame && litFrame !== frame) sendToFrame(litFrame.id, { action: 'frameCurrent', index: -1 });
+    litFrame = frame;
+
+    // Add to current
+    if (current) {
+      if (frame) {
+        sendToFrame(frame.id, { action: 'frameCurrent', index: current.index });
+      } else if (current.range && USE_HIGHLIGHT_API) {
+        ensureHighlightStyles(current.range.startContainer);
+        getHighlights(current.range.startContainer.ownerDocument).current.add(current.range);
+      } else if (current.elements) {
+        current.elements.forEach(el => el.classList.add(HIGHLIGHT_CURRENT_CLASS));
+      } else if (current.field) {
+        current.field.classList.add(FIELD_CURRENT_CLASS);
+      }
+    }
+  }
+
+  /**
+   * Navigate to next match
+   */
+  function goToNext() {
+    if (currentMatches.length === 0) return;
+    
+    currentIndex = (currentIndex + 1) % currentMatches.length;
+    updateCurrentHighlight();
+    scrollToCurrent();
+  }
+
+  /**
+   * Navigate to previous match
+   */
+  function goToPrevious() {
+    if (currentMatches.length === 0) return;
+    
+    currentIndex = (currentIndex - 1 + currentMatches.length) % currentMatches.length;
+    updateCurrentHighlight();
+    scrollToCurrent();
+  }
+
+  /**
+   * Scroll to current match
+   * Field and editable matches have nothing to scroll to on their own, so
+   * they get focus and a selection instead.
+   */
+  function scrollToCurrent() {
+    if (currentIndex < 0 || currentIndex >= currentMatches.length) return;
+    
+    const current = currentMatches[currentIndex];
+
+    // The frame scrolls to its own match, once the frame is in view
+    if (current.frame) {
+      current.frame.element.scrollIntoView({ behavior: 'smooth', block: 'nearest', inline: 'nearest' });
+      sendToFrame(current.frame.id, { action: 'frameCurrent', index: current.index, scroll: true });
+      return;
+    }
+
+    if (current.field) {
+      selectFieldMatch(current);
+      return;
+    }
+
+    if (current.editable) {
+      selectEditableMatch(current);
+      return;
+    }
+
+    const target = current.elements ? current.elements[0] : TextModel.getTextParent(current.range.startContainer);
+    target.scrollIntoView({
+      behavior: 'smooth',
+      block: 'center',
+      inline: 'nearest'
+    });
+
+    // Without the highlight API a match past the eager cap has no span;
+    // select it instead, the way the browser's own find bar shows a match
+    if (current.deferred && !USE_HIGHLIGHT_API) {
+      const selection = target.ownerDocument.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(current.range);
+    }
+  }
+
+  /**
+   * Focus a field and select a match inside its value
+   * @param {Object} match  { field, start, end }
+   */
+  function selectFieldMatch(match) {
+    const { field } = match;
+    // The value may have been edited since the search ran
+    const end = Math.min(match.end, field.value.length);
+    const start = Math.min(match.start, end);
+
+    field.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+    field.focus({ preventScroll: true });
+
+    // Some input types (email) have no selection API and throw; focusing
+    // the field is all that can be done for them
+    if (field.selectionStart !== null) field.setSelectionRange(start, end);
+  }
+
+  /**
+   * Focus an editable region and select a match inside it
+   * @param {Object} match  { range }
+   */
+  function selectEditableMatch(match) {
+    const { range } = match;
+    const element = TextModel.getTextParent(range.startContainer);
+    if (!element) return;
+
+    element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'nearest' });
+
+    // Focus the editing host so the selection shows as active
+    getEditingHost(element).focus({ preventScroll: true });
+
+    const selection = element.ownerDocument.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+  }
+
+  /**
+   * Find the outermost editable element around an element
+   * @param {Element} element  Element inside a contenteditable region
+   * @returns {Element}  Its editing host
+   */
+  function getEditingHost(element) {
+    let host = element;
+    while (host.parentElement && host.parentElement.isContentEditable) {
+      host = host.parentElement;
+    }
+    return host;
+  }
+
+  /**
+   * Go to specific match by index
+   * @param {number} index  Match index
+   */
+  function goToMatch(index) {
+    if (index < 0 || index >= currentMatches.length) return;
+    
+    currentIndex = index;
+    updateCurrentHighlight();
+    scrollToCurrent();
+  }
+
+  /**
+   * Check whether the user could type over a match: one in an editable
+   * field, or in contenteditable text. Page text is never replaced, and
+   * neither are inputs such as email ones that cannot be edited in place.
+   * @param {Object} match  Match entry
+   * @returns {boolean}  True if the match may be replaced
+   */
+  function isReplaceable(match) {
+    if (match.field) {
+      // selectionStart is null for inputs without a selection API (email),
+      // which cannot be edited in place
+      const { field } = match;
+      return field.isConnected && !field.readOnly && !field.disabled && field.selectionStart !== null;
+    }
+    if (!match.editable) return false;
+
+    const start = TextModel.getTextParent(match.range.startContainer);
+    const end = TextModel.getTextParent(match.range.endContainer);
+    return Boolean(start && start.isContentEditable && end && end.isContentEditable);
+  }
+
+  /**
+   * Replace the current match, or every match the user could edit, then
+   * search again. Undoable as one step through undoReplace().
+   * @param {string} replacement  Replacement, with $1 etc. in regex mode
+   * @param {boolean} all  Replace every match rather than the current one
+   * If an edit throws, the ones made before it are still kept for undo,
+   * the page is searched again all the same, and the error is reported.
+   * Matches in cross-origin frames are only shown here and count as
+   * read-only.
+   * @returns {Promise<Object>}  { replaced, readOnly, canUndo, counts, error }
+   */
+  async function replaceMatches(replacement, all) {
+    if (!liveSearch) return { replaced: 0, readOnly: 0, canUndo: replaceHistory.length > 0, counts: getMatchCounts() };
+
+    const { query, options } = liveSearch;
+    const state = SearchEngine.prepare(query, options);
+    const candidates = all ? currentMatches : currentMatches.slice(currentIndex, currentIndex + 1);
+    const targets = candidates.filter(isReplaceable);
+    const previousIndex = currentIndex;
+
+    // Our own edits are rescanned below, not through the live updates.
+    // Going backwards keeps the offsets of earlier matches in a field valid.
+    if (observer) observer.disconnect();
+    const batch = [];
+    let error = null;
+    try {
+      for (let i = targets.length - 1; i >= 0; i--) {
+        const edit = replaceMatch(targets[i], replacement, state);
+        if (edit) batch.push(edit);
+      }
+    } catch (e) {
+      error = e;
+    }
+
+    if (batch.length > 0) {
+      replaceHistory.push(batch);
+      if (replaceHistory.length > MAX_REPLACE_UNDO) replaceHistory.shift();
+    }
+
+    // Searching again also reconnects the live updates
+    const count = await highlightMatches(query, options);
+
+    // Step past whatever the replacement itself matches, so "Replace"
+    // moves on instead of replacing the same spot again, wrapping at the end
+    if (count && !all && !error && batch.length > 0) {
+      const again = SearchEngine.dropOverlaps(SearchEngine.scan(batch[0].text, SearchEngine.prepare(query, options))).length;
+      goToMatch((previousIndex + again) % currentMatches.length);
+    }
+
+    const result = {
+      replaced: batch.length,
+      readOnly: candidates.length - targets.length,
+      canUndo: replaceHistory.length > 0,
+      counts: getMatchCounts()
+    };
+    if (error) result.error = error.message;
+    return result;
+  }
+
+  /**
+   * Replace one match
+   * @param {Object} match  Field or editable match entry
+   * @param {string} replacement  Replacement before expanding $ patterns
+   * @param {Object} state  Prepared search state
+   * @returns {Object|null}  Edit to undo, or null if the match changed since the search
+   */
+  function replaceMatch(match, replacement, state) {
+    if (match.field) {
+      const { field, start, end } = match;
+      if (field.value.slice(start, end) !== match.text) return null;
+
+      const text = SearchEngine.expandReplacement(field.value, { index: start, length: end - start, term: match.term }, replacement, state);
+      if (text === null) return null;
+
+      insertIntoField(field, start, end, text);
+      return { field, start, text, original: match.text };
+    }
+
+    if (match.range.toString() !== match.text) return null;
+
+    // Editable text is matched within its block, so a regex is re-run
+    // against the block text the match was found in
+    const text = SearchEngine.expandReplacement(match.blockText, { index: match.index, length: match.text.length, term: match.term }, replacement, state);
+    if (text === null) return null;
+
+    return { range: insertIntoEditable(match.range, text), text, original: match.text };
+  }
+
+  /**
+   * Type text over part of a field's value
+   * execCommand() edits the way typing does, so the page sees the usual
+   * beforeinput and input events and Ctrl+Z in the field still works;
+   * where it is unavailable the value is set and an input event sent.
+   * @param {Element} field  input or textarea
+   * @param {number} start  Start offset in the value
+   * @param {number} end  End offset in the value
+   * @param {string} text  Text to put there
+   */
+  function insertIntoField(field, start, end, text) {
+    field.focus({ preventScroll: true });
+    field.setSelectionRange(start, end);
+
+    const doc = field.ownerDocument;
+    const typed = text ? doc.execCommand('insertText', false, text) : doc.execCommand('delete');
+    if (typed) return;
+
+    field.setRangeText(text, start, end, 'end');
+    field.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: text }));
+  }
+
+  /**
+   * Type text over a range of contenteditable text, like insertIntoField()
+   * @param {Range} range  Range to replace
+   * @param {string} text  Text to put there
+   * @returns {Range|null}  Range of the inserted text, for undo, or null if it cannot be told apart
+   */
+  function insertIntoEditable(range, text) {
+    const doc = range.startContainer.ownerDocument;
+    const host = getEditingHost(TextModel.getTextParent(range.startContainer));
+    host.focus({ preventScroll: true });
+
+    const selection = doc.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    const typed = text ? doc.execCommand('insertText', false, text) : doc.execCommand('delete');
+    if (typed) {
+      // The caret sits right after what was typed
+      const { focusNode, focusOffset } = selection;
+      if (!focusNode) return null;
+      if (text && (focusNode.nodeType !== Node.TEXT_NODE || focusOffset < text.length ||
+          focusNode.data.slice(focusOffset - text.length, focusOffset) !== text)) {
+        return null;
+      }
+      const inserted = doc.createRange();
+      inserted.setStart(focusNode, focusOffset - text.length);
+      inserted.setEnd(focusNode, focusOffset);
+      return inserted;
+    }
+
+    const node = doc.createTextNode(text);
+    range.deleteContents();
+    range.insertNode(node);
+    host.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText', data: text }));
+
+    const inserted = doc.createRange();
+    inserted.selectNodeContents(node);
+    return inserted;
+  }
+
+  /**
+   * Put back what the last Replace or Replace all changed, skipping any
+   * spot edited again since, then search again. As with replaceMatches(),
+   * an edit that throws stops the undo but not the search again; the
+   * edits not yet restored go back on the stack.
+   * @returns {Promise<Object>}  { restored, canUndo, counts, error }
+   */
+  async function undoReplace() {
+    const batch = replaceHistory.pop();
+    if (!batch) return { restored: 0, canUndo: false, counts: getMatchCounts() };
+
+    if (observer) observer.disconnect();
+    let restored = 0;
+    let error = null;
+
+    // Last edit first, which is the reverse of the page order they were made in
+    let i = batch.length - 1;
+    try {
+      for (; i >= 0; i--) {
+        const edit = batch[i];
+        if (edit.field) {
+          const end = edit.start + edit.text.length;
+          if (!edit.field.isConnected || edit.field.value.slice(edit.start, end) !== edit.text) continue;
+          insertIntoField(edit.field, edit.start, end, edit.original);
+        } else {
+          if (!edit.range || edit.range.toString() !== edit.text) continue;
+          insertIntoEditable(edit.range, edit.original);
+        }
+        restored++;
+      }
+    } catch (e) {
+      error = e;
+      replaceHistory.push(batch.slice(0, i + 1));
+    }
+
+    if (liveSearch) await highlightMatches(liveSearch.query, liveSearch.options);
+
+    const result = { restored, canUndo: replaceHistory.length > 0, counts: getMatchCounts() };
+    if (error) result.error = error.message;
+    return result;
+  }
+
+  /**
+   * Redraw the minimap once the page settles
+   * The minimap lives as long as the highlights: hiding the overlay
+   * clears both.
+   */
+  function scheduleMinimap() {
+    // A searched frame's matches show on the minimap of the frame that searched it
+    if (minimapTimer || parentFrameId !== null) return;
+    minimapTimer = setTimeout(renderMinimap, MINIMAP_DELAY);
+  }
+
+  /**
+   * Draw a tick along the right edge for every match, at its height in
+   * the scrolling element it belongs to. Matches close enough to share a
+   * pixel row share a tick.
+   */
+  function renderMinimap() {
+    minimapTimer = null;
+    if (currentMatches.length === 0) {
+      removeMinimap();
+      return;
+    }
+
+    if (!minimap) createMinimap();
+
+    // Follow the scrollbar the current match scrolls with; a match in a
+    // scrolling panel means the panel's scrollbar, not the page's
+    const page = document.scrollingElement || document.documentElement;
+    const scroller = getScroller(currentMatches[currentIndex] || currentMatches[0], page);
+    watchScroller(scroller);
+
+    const box = scroller === page ? null : scroller.getBoundingClientRect();
+    placeMinimap(box && { top: box.top + scroller.clientTop, left: box.left + scroller.clientLeft + scroller.clientWidth, height: scroller.clientHeight });
+
+    const contentTop = (box ? box.top + scroller.clientTop : 0) - scroller.scrollTop;
+    const range = minimap.clientHeight - MINIMAP_TICK_HEIGHT;
+    const rows = new Map();
+
+    currentMatches.forEach((match, index) => {
+      const anchor = getMatchAnchor(match);
+      const outer = getAnchorChain(anchor).pop();
+      if (!anchor.isConnected || (box && !scroller.contains(outer))) return;
+
+      const top = getMatchTop(match);
+      if (top === null) return;
+
+      const fraction = Math.min(Math.max((top - contentTop) / scroller.scrollHeight, 0), 1);
+      const row = Math.round(fraction * range);
+      if (!rows.has(row)) rows.set(row, { indices: [], term: match.term || 0 });
+      rows.get(row).indices.push(index);
+    });
+
+    const ticks = [];
+    rows.forEach((entry, row) => {
+      const tick = document.createElement('div');
+      tick.className = `ctrlf-pro-minimap-tick ${TERM_CLASS_PREFIX}${entry.term % TERM_COLOR_COUNT}`;
+      tick.classList.toggle('is-current', entry.indices.includes(currentIndex));
+      tick.style.top = `${row}px`;
+      tick.style.height = `${MINIMAP_TICK_HEIGHT}px`;
+      tick.dataset.indices = entry.indices.join(',');
+      tick.title = entry.indices.length === 1
+        ? `Match ${entry.indices[0] + 1}`
+        : `Matches ${entry.indices[0] + 1}-${entry.indices[entry.indices.length - 1] + 1}`;
+      ticks.push(tick);
+    });
+    minimap.replaceChildren(...ticks);
+  }
+
+  /**
+   * Add the minimap track and start following the page's layout
+   */
+  function createMinimap() {
+    minimap = document.createElement('div');
+    minimap.id = MINIMAP_ID;
+    minimap.dataset.ctrlfPro = 'minimap';
+    minimap.addEventListener('click', handleMinimapClick);
+
+    // Outside the body, where the live updates do not look
+    document.documentElement.appendChild(minimap);
+
+    minimapObserver = new ResizeObserver(scheduleMinimap);
+    window.addEventListener('resize', scheduleMinimap);
+    document.addEventListener('scroll', handleMinimapScroll, true);
+  }
+
+  /**
+   * Remove the minimap and stop following the page's layout
+   */
+  function removeMinimap() {
+    clearTimeout(minimapTimer);
+    minimapTimer = null;
+    if (!minimap) return;
+
+    minimap.remove();
+    minimap = null;
+    minimapScroller = null;
+    minimapObserver.disconnect();
+    minimapObserver = null;
+    window.removeEventListener('resize', scheduleMinimap);
+    document.removeEventListener('scroll', handleMinimapScroll, true);
+  }
+
+  /**
+   * Go to the match under a clicked tick. Clicking the current match's
+   * tick again steps through the other matches sharing it.
+   * @param {MouseEvent} e  Click on the minimap
+   */
+  function handleMinimapClick(e) {
+    const tick = e.target.closest('.ctrlf-pro-minimap-tick');
+    if (!tick) return;
+
+    const indices = tick.dataset.indices.split(',').map(Number);
+    const at = indices.indexOf(currentIndex);
+    goToMatch(indices[(at + 1) % indices.length]);
+    notifyCounts();
+  }
+
+  /**
+   * A scrolling panel moves when the page around it scrolls, and the
+   * track has to move with it; the page's own track is fixed
+   */
+  function handleMinimapScroll() {
+    if (minimapScroller && minimapScroller !== (document.scrollingElement || document.documentElement)) {
+      scheduleMinimap();
     }
-    return textNodes;
   }
 
   /**
-   * Clear all highlights
+   * Watch the scrolling element the ticks are measured against, so
+   * content that grows or shrinks moves them
+   * @param {Element} scroller  Scrolling element
    */
-  function clearHighlights() {
-    // Remove highlight wrappers and restore original text
-    highlightElements.forEach(el => {
-      if (el.parentNode) {
-        const text = document.createTextNode(el.textContent);
-        el.parentNode.replaceChild(text, el);
-      }
+  function watchScroller(scroller) {
+    if (scroller === minimapScroller) return;
+
+    minimapScroller = scroller;
+    minimapObserver.disconnect();
+    [scroller, scroller.firstElementChild, document.body].forEach(el => {
+      if (el) minimapObserver.observe(el);
     });
-    highlightElements = [];
-    currentMatches = [];
-    currentIndex = -1;
-    
-    // Normalize text nodes
-    document.body.normalize();
   }
 
   /**
-   * Highlight matches in the DOM
-   * @param {string} query  Search query
-   * @param {Object} options  Search options
-   * @returns {number}  Number of matches found
+   * Put the track along the page's right edge, or along a scrolling
+   * panel's inner right edge
+   * @param {Object|null} box  { top, left, height } of the panel's right edge, null for the page
    */
-  function highlightMatches(query, options = searchOptions) {
-    clearHighlights();
-    
-    if (!query || query.trim().length === 0) {
-      return 0;
+  function placeMinimap(box) {
+    minimap.classList.toggle('is-inner', Boolean(box));
+    minimap.style.top = box ? `${box.top}px` : '';
+    minimap.style.left = box ? `${box.left - minimap.offsetWidth}px` : '';
+    minimap.style.height = box ? `${box.height}px` : '';
+  }
+
+  /**
+   * Find the element a match scrolls with: its nearest scrollable
+   * ancestor in the top document, or the page
+   * @param {Object} match  Match entry
+   * @param {Element} page  The page's scrolling element
+   * @returns {Element}  Scrolling element
+   */
+  function getScroller(match, page) {
+    const outer = getAnchorChain(getMatchAnchor(match)).pop();
+    let el = outer.nodeType === Node.ELEMENT_NODE ? outer : outer.parentElement;
+
+    for (; el && el !== page && el !== document.body; el = el.parentElement) {
+      const overflow = window.getComputedStyle(el).overflowY;
+      if ((overflow === 'auto' || overflow === 'scroll') && el.scrollHeight > el.clientHeight) return el;
     }
+    return page;
+  }
 
-    const textNodes = getTextNodes();
-    const state = SearchEngine.prepare(query, options);
-    if (!state) return 0;
-    let matchCount = 0;
+  /**
+   * Get the top of a match in the top document's viewport
+   * @param {Object} match  Match entry
+   * @returns {number|null}  Top edge in pixels, or null if the match takes no space (hidden)
+   */
+  function getMatchTop(match) {
+    const anchor = getMatchAnchor(match);
+    const rect = match.range ? match.range.getBoundingClientRect() : anchor.getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return null;
 
-    textNodes.forEach(textNode => {
-      const text = textNode.textContent;
-      const matches = SearchEngine.scan(text, state);
+    // A frame's coordinates start at the frame
+    let top = rect.top;
+    let view = anchor.ownerDocument.defaultView;
+    while (view && view.frameElement) {
+      top += view.frameElement.getBoundingClientRect().top;
+      view = view.frameElement.ownerDocument.defaultView;
+    }
+    return top;
+  }
 
-      if (matches.length === 0) return;
+  /**
+   * Watch the page for content that arrives after the search ran
+   * Runs from highlightMatches() until clearHighlights(), i.e. while the
+   * overlay shows a search. Walked shadow roots and frames are observed
+   * too, since a subtree observer on the body does not see into them.
+   * @param {string|string[]} query  Query being shown
+   * @param {Object} options  Search options
+   */
+  function startLiveUpdates(query, options) {
+    liveSearch = { query, options };
+    observer = new MutationObserver(handleMutations);
+    observeRoots();
+  }
 
-      // Create document fragment with highlights
-      const fragment = document.createDocumentFragment();
-      let lastIndex = 0;
+  /**
+   * Observe every root the last walk went through
+   * Observing a root again is a no-op, so this is safe after each rescan,
+   * which may have walked into shadow roots or frames that are new.
+   */
+  function observeRoots() {
+    observedRoots.forEach(root => {
+      observer.observe(root, { childList: true, characterData: true, subtree: true });
+    });
+  }
 
-      matches.forEach(m => {
-        // Add text before match
-        if (m.index > lastIndex) {
-          fragment.appendChild(document.createTextNode(text.slice(lastIndex, m.index)));
-        }
+  /**
+   * Stop watching the page and drop anything queued
+   */
+  function stopLiveUpdates() {
+    if (observer) observer.disconnect();
+    observer = null;
+    liveSearch = null;
+    pendingMutations = [];
+    clearTimeout(rescanTimer);
+  }
 
-        // Create highlight span
-        const span = document.createElement('span');
-        span.className = HIGHLIGHT_CLASS;
-        span.textContent = m.text;
-        span.dataset.matchIndex = matchCount;
-        
-        fragment.appendChild(span);
-        highlightElements.push(span);
-        
-        currentMatches.push({
-          element: span,
-          text: m.text
-        });
+  /**
+   * Queue mutation records and rescan once the page settles
+   * @param {MutationRecord[]} records  Records from the observer
+   */
+  function handleMutations(records) {
+    records.forEach(record => {
+      if (!isOwnMutation(record)) pendingMutations.push(record);
+    });
 
-        matchCount++;
-        lastIndex = m.index + m.length;
-      });
+    if (pendingMutations.length === 0) return;
+
+    clearTimeout(rescanTimer);
+    rescanTimer = setTimeout(applyMutations, RESCAN_DELAY);
+  }
+
+  /**
+   * Check whether a mutation was caused by this script's own highlighting
+   * @param {MutationRecord} record  Mutation record
+   * @returns {boolean}  True if the record can be ignored
+   */
+  function isOwnMutation(record) {
+    const target = record.target.nodeType === Node.ELEMENT_NODE
+      ? record.target
+      : record.target.parentElement;
+
+    if (target && target.closest(`#${OVERLAY_ID}, #${MINIMAP_ID}`)) return true;
+
+    const nodes = [...record.addedNodes, ...record.removedNodes];
+    return nodes.length > 0 && nodes.every(node =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      (node.classList.contains(HIGHLIGHT_CLASS) || node.id === OVERLAY_ID || node.dataset.ctrlfPro !== undefined)
+    );
+  }
+
+  /**
+   * Rescan the parts of the page touched by queued mutations
+   * Matches whose nodes are gone are dropped, and every touched block is
+   * unwrapped and scanned again, so a changed paragraph is highlighted as
+   * a whole. The current match stays current as long as it still exists.
+   * Matching goes through matchBlocks(), so a regex rescan runs in the
+   * search worker like the first scan did.
+   */
+  async function applyMutations() {
+    // highlightMatches() and earlier rescans call back once they are done
+    if (scanning) return;
+
+    const records = pendingMutations;
+    pendingMutations = [];
+    if (!liveSearch || records.length === 0) return;
+
+    const state = SearchEngine.prepare(liveSearch.query, liveSearch.options);
+    if (!state) return;
 
-      // Add remaining text
-      if (lastIndex < text.length) {
-        fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+    const roots = getChangedRoots(records);
+    const current = currentMatches[currentIndex];
+    const previousIndex = currentIndex;
+
+    // Drop matches that left the page or sit in a block about to be
+    // rescanned. A frame's matches stay as long as the frame does; it
+    // reports its own changes.
+    const parents = new Set();
+    currentMatches = currentMatches.filter(match => {
+      const anchor = getMatchAnchor(match);
+      const stale = !anchor.isConnected || (!match.frame && roots.some(root => root.contains(anchor)));
+      if (stale && match.elements) {
+        match.elements.forEach(el => unwrapHighlight(el, parents));
+      } else if (stale && match.range && USE_HIGHLIGHT_API) {
+        unpaintRange(match);
       }
+      return !stale;
+    });
+    parents.forEach(parent => parent.normalize());
+    highlightElements = highlightElements.filter(el => el.isConnected);
+    remoteFrames.forEach((frame, frameId) => {
+      if (!frame.element.isConnected) remoteFrames.delete(frameId);
+    });
+    observer.takeRecords();
+
+    // Walk each root, match them all in one go, then merge each root's
+    // matches in document order
+    const styles = new Map();
+    const blocksPerRoot = roots.filter(root => root.isConnected).map(root => {
+      return TextModel.buildBlocks(Array.from(walkChangedRoot(root, Boolean(liveSearch.options.includeFields), styles)));
+    });
+
+    const id = scanId;
+    const key = ++workerSearchKey;
+    const search = { query: liveSearch.query, options: liveSearch.options, state };
+    let foundPerBlock;
+    scanning = true;
+    try {
+      foundPerBlock = await matchBlocks(blocksPerRoot.flat(), search, key);
+    } finally {
+      if (searchWorker) searchWorker.postMessage({ key, done: true });
+    }
 
-      // Replace text node with fragment
-      textNode.parentNode.replaceChild(fragment, textNode);
+    // A new search or hiding the overlay replaced this one meanwhile
+    if (id !== scanId) return;
+    scanning = false;
+
+    let offset = 0;
+    blocksPerRoot.forEach(blocks => {
+      const found = renderBlocks(blocks, foundPerBlock.slice(offset, offset + blocks.length));
+      offset += blocks.length;
+      if (found.length === 0) return;
+
+      const at = findInsertIndex(getMatchAnchor(found[0]));
+      currentMatches.splice(at, 0, ...found);
     });
 
-    // Auto-select first match
-    if (currentMatches.length > 0) {
-      currentIndex = 0;
-      updateCurrentHighlight();
+    const keptIndex = currentMatches.indexOf(current);
+    if (keptIndex !== -1) {
+      currentIndex = keptIndex;
+    } else {
+      currentIndex = currentMatches.length > 0 ? Math.min(Math.max(previousIndex, 0), currentMatches.length - 1) : -1;
+    }
+
+    searchTruncated = searchTruncated || Boolean(state.truncated || search.truncated);
+    searchBlocked = searchBlocked || Boolean(search.blocked);
+    updateCurrentHighlight();
+
+    // Our own wrapping above was observed too; it is not page content
+    observer.takeRecords();
+    observeRoots();
+
+    notifyCounts();
+
+    // Cross-origin frames the rescan came across for the first time
+    searchFrames(liveSearch.query, liveSearch.options, () => id !== scanId);
+
+    // Apply changes the page made while matching
+    if (pendingMutations.length > 0) {
+      clearTimeout(rescanTimer);
+      rescanTimer = setTimeout(applyMutations, RESCAN_DELAY);
+    }
+  }
+
+  /**
+   * Walk a changed subtree, including the root itself, which
+   * walkTextNodes() only walks below
+   * @param {Element} root  Changed subtree
+   * @param {boolean} includeFields  Whether to include fields and editable text
+   * @param {Map} styles  Style cache, see getStyle()
+   * @yields {Node}  Text nodes and field elements in page order
+   */
+  function* walkChangedRoot(root, includeFields, styles) {
+    if (root.closest(`${SKIPPED_TAGS.join(', ')}, #${OVERLAY_ID}`)) {
+      if (includeFields && isSearchableField(root)) yield root;
+      return;
     }
+    if (getStyle(root, styles).display === 'none') return;
 
-    return matchCount;
+    yield* walkNestedRoots(root, includeFields, styles);
+    yield* walkTextNodes(root, includeFields, styles);
   }
 
   /**
-   * Update the current highlight styling
+   * Work out which subtrees need a rescan
+   * Text changes and inline additions rescan their whole block, so a match
+   * that now spans old and new text is found. Roots inside other roots are
+   * dropped.
+   * @param {MutationRecord[]} records  Queued records
+   * @returns {Element[]}  Elements to rescan
    */
-  function updateCurrentHighlight() {
-    // Remove current class from all
-    highlightElements.forEach(el => {
-      el.classList.remove(HIGHLIGHT_CURRENT_CLASS);
+  function getChangedRoots(records) {
+    const cache = new Map();
+    const roots = new Set();
+
+    const addNode = (node) => {
+      if (!node.isConnected) return;
+      const el = node.nodeType === Node.ELEMENT_NODE && !TextModel.isInline(node, cache)
+        ? node
+        : TextModel.getBlockElement(node, cache);
+      if (el) roots.add(el);
+    };
+
+    records.forEach(record => {
+      if (record.type === 'characterData') {
+        addNode(record.target);
+      } else {
+        record.addedNodes.forEach(node => {
+          if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.ELEMENT_NODE) addNode(node);
+        });
+        // A removal can join text that now forms a new match
+        if (record.removedNodes.length > 0 && record.target.nodeType === Node.ELEMENT_NODE) {
+          addNode(record.target);
+        }
+      }
     });
 
-    // Add to current
-    if (currentIndex >= 0 && currentIndex < currentMatches.length) {
-      const current = currentMatches[currentIndex];
-      current.element.classList.add(HIGHLIGHT_CURRENT_CLASS);
+    const list = Array.from(roots);
+    return list.filter(root => !list.some(other => other !== root && other.contains(root)));
+  }
+
+  /**
+   * Get the node that marks where a match sits on the page
+   * @param {Object} match  Match entry
+   * @returns {Node}  Its field, first highlight span, range start or frame element
+   */
+  function getMatchAnchor(match) {
+    if (match.frame) return match.frame.element;
+    if (match.field) return match.field;
+    if (match.elements) return match.elements[0];
+    return match.range.startContainer;
+  }
+
+  /**
+   * Lift a node out of shadow roots and frames to the top document,
+   * where it can be compared with any other node
+   * @param {Node} node  Node anywhere on the page
+   * @returns {Node[]}  The node and its hosts / frame elements, innermost first
+   */
+  function getAnchorChain(node) {
+    const chain = [node];
+    let root = node.getRootNode();
+
+    while (root !== document) {
+      const outer = root.host || (root.defaultView && root.defaultView.frameElement);
+      if (!outer) break;
+      chain.push(outer);
+      root = outer.getRootNode();
     }
+
+    return chain;
   }
 
   /**
-   * Navigate to next match
+   * Compare the page order of two nodes, across shadow roots and frames
+   * @returns {number}  Negative if a comes first, positive if b does
    */
-  function goToNext() {
-    if (currentMatches.length === 0) return;
-    
-    currentIndex = (currentIndex + 1) % currentMatches.length;
-    updateCurrentHighlight();
-    scrollToCurrent();
+  function comparePageOrder(a, b) {
+    const chainA = getAnchorChain(a);
+    const chainB = getAnchorChain(b);
+
+    // Compare at the deepest level both nodes share a tree
+    for (const nodeA of chainA) {
+      const nodeB = chainB.find(n => n.getRootNode() === nodeA.getRootNode());
+      if (!nodeB) continue;
+      if (nodeA === nodeB) return 0;
+      return nodeA.compareDocumentPosition(nodeB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    }
+
+    return 0;
   }
 
   /**
-   * Navigate to previous match
+   * Find where a new match belongs in currentMatches (binary search)
+   * @param {Node} anchor  Anchor node of the new match
+   * @returns {number}  Index to insert at
    */
-  function goToPrevious() {
-    if (currentMatches.length === 0) return;
-    
-    currentIndex = (currentIndex - 1 + currentMatches.length) % currentMatches.length;
-    updateCurrentHighlight();
-    scrollToCurrent();
+  function findInsertIndex(anchor) {
+    let lo = 0;
+    let hi = currentMatches.length;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (comparePageOrder(getMatchAnchor(currentMatches[mid]), anchor) < 0) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
   }
 
   /**
-   * Scroll to current match
+   * Send a message to this script's copy in another frame of the tab
+   * Only the background can address a frame, so it passes the message on,
+   * adding sourceFrameId: the frame it came from.
+   * @param {number} frameId  Frame to send to
+   * @param {Object} message  Message for that frame's content script
+   * @returns {Promise<Object|null>}  Its reply, or null if it has none
    */
-  function scrollToCurrent() {
-    if (currentIndex < 0 || currentIndex >= currentMatches.length) return;
-    
-    const current = currentMatches[currentIndex];
-    current.element.scrollIntoView({
-      behavior: 'smooth',
-      block: 'center',
-      inline: 'nearest'
+  function sendToFrame(frameId, message) {
+    return chrome.runtime.sendMessage({ action: 'frameMessage', frameId, message }).catch(() => null);
+  }
+
+  /**
+   * Search the cross-origin frames the walk came across and have not been
+   * searched yet. This script cannot read them, but each has its own copy
+   * of it (all_frames in the manifest), which searches the frame and
+   * reports one term index per match, see setFrameMatches().
+   * @param {string|string[]} query  Search query
+   * @param {Object} options  Search options
+   * @param {Function} isCancelled  Checked once the frames have replied
+   * @returns {Promise<void>}
+   */
+  async function searchFrames(query, options, isCancelled) {
+    const searched = new Set([...remoteFrames.values()].map(frame => frame.element));
+    const frames = [];
+
+    crossOriginFrames.forEach(element => {
+      if (searched.has(element)) return;
+      // -1 for a frame whose document has not loaded yet
+      const id = chrome.runtime.getFrameId(element);
+      if (id <= 0) return;
+
+      const frame = { id, element };
+      remoteFrames.set(id, frame);
+      frames.push(frame);
+    });
+
+    const replies = await Promise.all(frames.map(frame => sendToFrame(frame.id, { action: 'frameSearch', query, options })));
+    if (isCancelled()) return;
+
+    replies.forEach((reply, i) => {
+      if (reply && reply.terms) setFrameMatches(frames[i].id, reply.terms);
     });
   }
 
   /**
-   * Go to specific match by index
-   * @param {number} index  Match index
+   * Put a cross-origin frame's matches into currentMatches, replacing the
+   * ones it reported before. They stand in at the frame element's place
+   * in page order, as { frame, index, term }, so navigating runs through
+   * every frame in one order; index is the match's place in the frame.
+   * @param {number} frameId  Frame that reported
+   * @param {number[]} terms  Term index of each of its matches, in its page order
    */
-  function goToMatch(index) {
-    if (index < 0 || index >= currentMatches.length) return;
-    
-    currentIndex = index;
+  function setFrameMatches(frameId, terms) {
+    const frame = remoteFrames.get(frameId);
+    if (!frame || !liveSearch) return;
+
+    const current = currentMatches[currentIndex];
+    currentMatches = currentMatches.filter(match => match.frame !== frame);
+
+    const entries = terms.map((term, index) => ({ frame, index, term }));
+    const at = findInsertIndex(frame.element);
+    currentMatches.splice(at, 0, ...entries);
+
+    if (current && current.frame === frame) {
+      currentIndex = entries.length > 0 ? at + Math.min(current.index, entries.length - 1) : Math.min(at, currentMatches.length - 1);
+    } else if (current) {
+      currentIndex = currentMatches.indexOf(current);
+    } else {
+      currentIndex = currentMatches.length > 0 ? 0 : -1;
+    }
+
     updateCurrentHighlight();
-    scrollToCurrent();
+    notifyCounts();
+  }
+
+  /**
+   * Clear the highlights in every frame searched through searchFrames()
+   */
+  function clearFrames() {
+    remoteFrames.forEach(frame => sendToFrame(frame.id, { action: 'clear' }));
+    remoteFrames = new Map();
+    crossOriginFrames = new Set();
+    litFrame = null;
+  }
+
+  /**
+   * Find a match by its place among this document's own matches, the
+   * index countMatchesOnly() hands out, which skips cross-origin frames
+   * @param {number} index  Index among this document's matches
+   * @returns {number}  Index in currentMatches, or -1
+   */
+  function findOwnMatch(index) {
+    let seen = -1;
+    return currentMatches.findIndex(match => !match.frame && ++seen === index);
+  }
+
+  /**
+   * Tell the overlay the counts changed without it asking
+   * In a frame searched from another one, tell that frame instead, once
+   * the scan is done, see setFrameMatches().
+   */
+  function notifyCounts() {
+    if (parentFrameId !== null) {
+      if (!scanning) sendToFrame(parentFrameId, { action: 'frameMatches', terms: currentMatches.map(match => match.term || 0) });
+      return;
+    }
+
+    scheduleMinimap();
+    MatchCounts.publish(getMatchCounts());
   }
 
   /**
@@ -232,32 +1902,110 @@
   function getMatchCounts() {
     return {
       total: currentMatches.length,
-      current: currentIndex + 1
+      current: currentIndex + 1,
+      truncated: searchTruncated,
+      error: searchBlocked ? REGEX_BLOCKED : undefined,
+      scanning: scanning,
+      terms: searchTerms ? countByTerm(searchTerms, currentMatches) : undefined
     };
   }
 
+  /**
+   * Break a match list down per search term
+   * @param {string[]} terms  Terms of a multi-term query
+   * @param {Array} matches  Matches tagged with a term index
+   * @returns {Object[]}  Array of { term, total }, in term order
+   */
+  function countByTerm(terms, matches) {
+    const totals = terms.map(term => ({ term, total: 0 }));
+    matches.forEach(m => {
+      totals[m.term].total++;
+    });
+    return totals;
+  }
+
   /**
    * Count matches without highlighting (for multi-tab preview)
+   * Optionally collects snippets of the first few matches. Their index is
+   * the match's position in page order, the same one highlightMatches()
+   * assigns, so it can be passed to goToMatch() later. Cross-origin frames
+   * are not counted here and the index skips them, see findOwnMatch().
    * @param {string} query  Search query
    * @param {Object} options  Search options
-   * @returns {Object}  Count object
+   * @param {Object} snippetOptions  { max, terms } max snippets, and which
+   *                                 term indices may produce one (default all)
+   * @returns {Promise<Object>}  Count object, with present flags per term
+   *                             (see notePresence()), plus a snippets array
    */
-  function countMatchesOnly(query, options = searchOptions) {
-    if (!query || query.trim().length === 0) {
-      return { total: 0 };
-    }
+  async function countMatchesOnly(query, options = searchOptions, snippetOptions = {}) {
+    const state = SearchEngine.prepare(query, options);
+    if (!state) return { total: 0, snippets: [] };
+
+    const { max = 0, terms: snippetTerms } = snippetOptions;
+    const matches = [];
+    const snippets = [];
+    // Only matches of snippet terms get highlighted later, so only they
+    // advance the page order index
+    let highlightIndex = 0;
+
+    const search = { query, options, state };
+    await scanPage(search, () => false, (blocks, found) => {
+      blocks.forEach((block, i) => {
+        found[i].forEach(m => {
+          matches.push(m);
+
+          if (snippetTerms && !snippetTerms.includes(m.term || 0)) return;
+          if (snippets.length < max) {
+            snippets.push(TextModel.makeSnippet(block.text, m, highlightIndex, SNIPPET_CONTEXT));
+          }
+          highlightIndex++;
+        });
+      });
+    });
+
+    const present = search.present || [];
+    return {
+      total: matches.length,
+      truncated: Boolean(state.truncated || search.truncated),
+      terms: state.terms ? countByTerm(state.terms, matches) : undefined,
+      present: (state.terms || [query]).map((term, i) => Boolean(present[i])),
+      snippets: snippets
+    };
+  }
 
-    const textNodes = getTextNodes();
+  /**
+   * Collect every match on the page for copying, walking the page like
+   * countMatchesOnly() but keeping each match's text, capture groups and
+   * optionally its context
+   * @param {string|string[]} query  Search query
+   * @param {Object} options  Search options
+   * @param {number} context  Characters of context each side, 0 for none
+   * @returns {Promise<Object>}  { matches, truncated }, see TextModel.describeMatch()
+   */
+  async function collectMatches(query, options = searchOptions, context = 0) {
     const state = SearchEngine.prepare(query, options);
-    if (!state) return { total: 0 };
-    let total = 0;
+    if (!state) return { matches: [], truncated: false };
 
-    textNodes.forEach(textNode => {
-      const text = textNode.textContent;
-      total += SearchEngine.scan(text, state).length;
+    const matches = [];
+    let full = false;
+
+    const search = { query, options, state };
+    await scanPage(search, () => full, (blocks, found) => {
+      blocks.forEach((block, i) => {
+        found[i].forEach(m => {
+          if (matches.length >= MAX_COLLECTED_MATCHES) {
+            full = true;
+            return;
+          }
+          matches.push(TextModel.describeMatch(block.text, m, state, context));
+        });
+      });
     });
 
-    return { total };
+    return {
+      matches: matches,
+      truncated: full || Boolean(state.truncated || search.truncated)
+    };
   }
 
   /**
@@ -272,23 +2020,47 @@
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.action) {
       case 'search':
-        const count = highlightMatches(message.query, message.options || searchOptions);
-        sendResponse({ 
-          success: true, 
-          counts: getMatchCounts(),
-          query: message.query
+        highlightMatches(message.query, message.options || searchOptions).then(count => {
+          // A newer search took over; its own reply carries the counts
+          if (count === null) {
+            sendResponse({ success: true, cancelled: true, query: message.query });
+            return;
+          }
+          sendResponse({ 
+            success: true, 
+            counts: getMatchCounts(),
+            query: message.query
+          });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
         });
         break;
         
       case 'count':
-        const counts = countMatchesOnly(message.query, message.options || searchOptions);
-        sendResponse({ 
-          success: true, 
-          counts: counts,
-          query: message.query
+        countMatchesOnly(
+          message.query,
+          message.options || searchOptions,
+          { max: message.maxSnippets, terms: message.snippetTerms }
+        ).then(({ snippets, ...counts }) => {
+          sendResponse({ 
+            success: true, 
+            counts: counts,
+            snippets: snippets,
+            query: message.query
+          });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
         });
         break;
         
+      case 'collectMatches':
+        collectMatches(message.query, message.options || searchOptions, message.context).then(result => {
+          sendResponse({ success: true, ...result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        break;
+
       case 'next':
         goToNext();
         sendResponse({ success: true, counts: getMatchCounts() });
@@ -300,14 +2072,54 @@
         break;
         
       case 'goToMatch':
-        goToMatch(message.index);
+        // Sent with a snippet's index, see countMatchesOnly()
+        goToMatch(findOwnMatch(message.index));
         sendResponse({ success: true, counts: getMatchCounts() });
         break;
         
       case 'clear':
         clearHighlights();
+        parentFrameId = null;
+        sendResponse({ success: true });
+        break;
+
+      case 'frameSearch':
+        // From the frame around this one, see searchFrames()
+        parentFrameId = message.sourceFrameId;
+        highlightMatches(message.query, message.options).then(count => {
+          sendResponse({ success: true, terms: count === null ? null : currentMatches.map(match => match.term || 0) });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        break;
+
+      case 'frameMatches':
+        setFrameMatches(message.sourceFrameId, message.terms);
         sendResponse({ success: true });
         break;
+
+      case 'frameCurrent':
+        currentIndex = message.index < currentMatches.length ? message.index : -1;
+        updateCurrentHighlight();
+        if (message.scroll) scrollToCurrent();
+        sendResponse({ success: true });
+        break;
+
+      case 'replace':
+        replaceMatches(message.replacement, Boolean(message.all)).then(result => {
+          sendResponse({ success: true, ...result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        break;
+
+      case 'undoReplace':
+        undoReplace().then(result => {
+          sendResponse({ success: true, ...result });
+        }).catch(error => {
+          sendResponse({ success: false, error: error.message });
+        });
+        break;
         
       case 'setOptions':
         setOptions(message.options);
@@ -319,8 +2131,13 @@
         break;
         
       case 'toggleOverlay':
-        toggleOverlay();
-        sendResponse({ success: true, visible: overlayVisible });
+      case 'showOverlay':
+        // overlay.js shows the overlay, keeping track of where focus was
+        // so it can give it back on close, and replies
+        break;
+
+      case 'tabResult':
+        // Streamed all-tabs results are for overlay.js
         break;
         
       case 'ping':
@@ -334,21 +2151,76 @@
     return true; // Keep message channel open for async response
   });
 
+  // Snapshots are part of the opt-in page index, whose settings the
+  // background keeps in local storage
+  chrome.storage.local.get('indexSettings').then(result => {
+    snapshotsEnabled = Boolean(result.indexSettings?.enabled);
+    snapshotWhenLoaded();
+  }).catch(() => {
+    // Stay off if storage is unavailable
+  });
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.indexSettings) {
+      snapshotsEnabled = Boolean(changes.indexSettings.newValue?.enabled);
+    }
+  });
+
   /**
-   * Toggle search overlay visibility
+   * Send the background a snapshot of this page's text, for the page
+   * index and in case the tab is discarded later
+   * @returns {Promise<void>}  Settles once it is sent
    */
-  function toggleOverlay() {
-    const overlay = document.getElementById(OVERLAY_ID);
-    if (overlay) {
-      overlayVisible = !overlayVisible;
-      overlay.style.display = overlayVisible ? 'flex' : 'none';
-      if (overlayVisible) {
-        const input = overlay.querySelector('input');
-        if (input) input.focus();
-      }
+  function sendSnapshot() {
+    if (!snapshotsEnabled || !IS_TOP_FRAME) return Promise.resolve();
+    if (snapshotInFlight) return snapshotInFlight;
+
+    snapshotInFlight = extractPageText(SNAPSHOT_MAX_CHARS).then(text => {
+      return chrome.runtime.sendMessage({ action: 'snapshot', text: text, title: document.title });
+    }).catch(() => {
+      // The extension may have been reloaded since this page loaded
+    }).finally(() => {
+      snapshotInFlight = null;
+    });
+    return snapshotInFlight;
+  }
+
+  /**
+   * Index the page once it has loaded and the browser has a moment to
+   * spare, so a page closed before it was ever hidden is still indexed
+   */
+  function snapshotWhenLoaded() {
+    const whenIdle = () => requestIdleCallback(() => sendSnapshot(), { timeout: SNAPSHOT_IDLE_TIMEOUT });
+    if (document.readyState === 'complete') {
+      whenIdle();
+    } else {
+      window.addEventListener('load', whenIdle, { once: true });
     }
   }
 
+  // Take another as the page goes into the background: only hidden tabs
+  // get discarded, so this is the last chance to record what the page
+  // shows now. Switching tabs back and forth does this often, so at most
+  // once per SNAPSHOT_INTERVAL.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden') return;
+    if (Date.now() - lastSnapshot < SNAPSHOT_INTERVAL) return;
+    lastSnapshot = Date.now();
+    sendSnapshot();
+  });
+
+  // Closing or leaving the page is the index's last look at it, however
+  // recently the last snapshot was taken. It hides the page first, so a
+  // snapshot that hiding started may still be on its way; that one is as
+  // fresh and is not taken twice.
+  window.addEventListener('pagehide', () => {
+    sendSnapshot();
+  });
+
   // Initialize
+  Settings.load().then(applySettings).catch(() => {
+    // Keep the defaults if storage is unavailable
+  });
+  Settings.onChange(applySettings);
+
   console.log('CTRL+F Pro content script loaded');
 })();
@@ -0,0 +1,273 @@
+/**
+ * CTRL+F Pro Exporter
+ * Turns all-tabs search results into JSON, CSV or Markdown, for pasting
+ * into notes and write-ups.
+ *
+ * Input:
+ *   { query, options, scope, exportedAt, tabs }, where tabs are the
+ *   entries background.js keeps in tabResults: title, url, counts
+ *   (total, terms), section, cached and snippets ({ before, match, after }).
+ *
+ * Formats:
+ *   json      Everything, for scripts
+ *   csv       One row per tab, snippets joined by line breaks in one cell,
+ *             cells that look like formulas prefixed with '
+ *   markdown  A heading per tab with its snippets as quotes, matches in bold
+ *
+ * Copied matches (matchesToText) are plain text for the clipboard instead:
+ * one match per line, with tab-separated columns for the page URL, regex
+ * capture groups and context when asked for, so they paste into a
+ * spreadsheet as a table.
+ */
+
+const Exporter = {
+
+  FORMATS: {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+  },
+
+  // Option names as shown in the settings panel
+  OPTION_LABELS: {
+    caseSensitive: 'case sensitive',
+    wholeWord: 'whole word',
+    regex: 'regular expression',
+    multiTerm: 'multiple terms',
+    includeFields: 'form fields'
+  },
+
+  /**
+   * Format results.
+   *
+   * @param {Object} data  Results, see above
+   * @param {string} format  One of FORMATS
+   * @returns {string}  Formatted text
+   */
+  build(data, format) {
+    switch (format) {
+      case 'json':
+        return this.toJson(data);
+      case 'csv':
+        return this.toCsv(data);
+      case 'markdown':
+        return this.toMarkdown(data);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
+  },
+
+  /**
+   * Suggest a file name, e.g. "ctrlf-pro-invoice-2024-05-01.csv".
+   *
+   * @param {Object} data  Results
+   * @param {string} format  One of FORMATS
+   * @returns {string}  File name
+   */
+  filename(data, format) {
+    const slug = data.query.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    const date = data.exportedAt.slice(0, 10);
+    return `ctrlf-pro-${slug || 'results'}-${date}.${this.FORMATS[format].extension}`;
+  },
+
+  /**
+   * List the options that were on, e.g. "case sensitive, whole word".
+   *
+   * @param {Object} options  Search options
+   * @returns {string}  Option names, or "none"
+   */
+  describeOptions(options) {
+    const on = Object.keys(this.OPTION_LABELS).filter(key => options[key]).map(key => this.OPTION_LABELS[key]);
+    return on.length > 0 ? on.join(', ') : 'none';
+  },
+
+  /**
+   * Describe per-term counts, e.g. "invoice: 3, overdue: 1".
+   *
+   * @param {Object} counts  Tab counts
+   * @returns {string}  Term counts, empty for a single-term search
+   */
+  describeTerms(counts) {
+    return counts.terms ? counts.terms.map(t => `${t.term}: ${t.total}`).join(', ') : '';
+  },
+
+  /**
+   * Join a snippet back into one line of text.
+   *
+   * @param {Object} snippet  { before, match, after }
+   * @returns {string}  Snippet text
+   */
+  snippetText(snippet) {
+    return snippet.before + snippet.match + snippet.after;
+  },
+
+  /**
+   * Format results as JSON.
+   *
+   * @param {Object} data  Results
+   * @returns {string}  Pretty-printed JSON
+   */
+  toJson(data) {
+    return JSON.stringify({
+      query: data.query,
+      options: data.options,
+      scope: data.scope,
+      exportedAt: data.exportedAt,
+      total: data.tabs.reduce((sum, tab) => sum + tab.counts.total, 0),
+      tabs: data.tabs.map(tab => ({
+        title: tab.title,
+        url: tab.url,
+        section: tab.section ? tab.section.title : undefined,
+        matches: tab.counts.total,
+        terms: tab.counts.terms,
+        cached: tab.cached || undefined,
+        snippets: (tab.snippets || []).map(s => ({ before: s.before, match: s.match, after: s.after }))
+      }))
+    }, null, 2);
+  },
+
+  /**
+   * Quote a CSV field when it needs it (RFC 4180). Page text that starts
+   * like a formula (=, +, -, @, tab or CR) gets a leading ' so spreadsheets
+   * show it as text instead of running it.
+   *
+   * @param {*} value  Field value
+   * @returns {string}  CSV field
+   */
+  csvField(value) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  },
+
+  /**
+   * Format results as CSV.
+   *
+   * @param {Object} data  Results
+   * @returns {string}  CSV with a header row and CRLF line ends
+   */
+  toCsv(data) {
+    const header = ['Query', 'Options', 'Title', 'URL', 'Matches', 'Terms', 'Snippets'];
+    const rows = data.tabs.map(tab => [
+      data.query,
+      this.describeOptions(data.options),
+      tab.title,
+      tab.url,
+      tab.counts.total,
+      this.describeTerms(tab.counts),
+      (tab.snippets || []).map(s => this.snippetText(s)).join('\n')
+    ]);
+
+    return [header, ...rows].map(row => row.map(value => this.csvField(value)).join(',')).join('\r\n') + '\r\n';
+  },
+
+  /**
+   * Escape text so Markdown shows it literally.
+   *
+   * @param {string} text  Plain text
+   * @returns {string}  Markdown
+   */
+  markdownEscape(text) {
+    return String(text).replace(/[\\`*_{}[\]()<>#|!~]/g, '\\$&').replace(/\s+/g, ' ');
+  },
+
+  /**
+   * Show text as inline code, with a fence long enough for any backticks
+   * inside it.
+   *
+   * @param {string} text  Plain text
+   * @returns {string}  Markdown
+   */
+  markdownCode(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longest + 1);
+    return longest > 0 ? `${fence} ${text} ${fence}` : `${fence}${text}${fence}`;
+  },
+
+  /**
+   * Format results as a Markdown report.
+   *
+   * @param {Object} data  Results
+   * @returns {string}  Markdown report
+   */
+  toMarkdown(data) {
+    const total = data.tabs.reduce((sum, tab) => sum + tab.counts.total, 0);
+    const lines = [
+      `# Search results for "${this.markdownEscape(data.query)}"`,
+      '',
+      `- Query: ${this.markdownCode(data.query)}`,
+      `- Options: ${this.describeOptions(data.options)}`,
+      `- Exported: ${data.exportedAt}`,
+      `- ${data.tabs.length} tab${data.tabs.length !== 1 ? 's' : ''}, ${total} match${total !== 1 ? 'es' : ''}`
+    ];
+
+    data.tabs.forEach(tab => {
+      const terms = this.describeTerms(tab.counts);
+      lines.push(
+        '',
+        `## [${this.markdownEscape(tab.title || 'Untitled')}](<${tab.url.replace(/>/g, '%3E')}>)`,
+        '',
+        `${tab.counts.total} match${tab.counts.total !== 1 ? 'es' : ''}${terms ? ` (${this.markdownEscape(terms)})` : ''}${tab.cached ? ', from a cached copy' : ''}`
+      );
+
+      (tab.snippets || []).forEach(s => {
+        lines.push('', `> ${this.markdownEscape(s.before)}**${this.markdownEscape(s.match)}**${this.markdownEscape(s.after)}`);
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  },
+
+  /**
+   * Flatten text into one table cell.
+   *
+   * @param {string} text  Plain text
+   * @returns {string}  Text without tabs or line breaks
+   */
+  textCell(text) {
+    return String(text).replace(/[\t\r\n]+/g, ' ');
+  },
+
+  /**
+   * Format collected matches for the clipboard. When the regex has capture
+   * groups, the lines get a header row and a column per group.
+   *
+   * @param {Object} data  { pages }, each { url, matches } with matches
+   *        from TextModel.describeMatch()
+   * @param {Object} columns  { url, context } extra columns to include
+   * @returns {string}  One line per match
+   */
+  matchesToText(data, columns = {}) {
+    const groupCount = Math.max(0, ...data.pages.flatMap(page => page.matches.map(m => (m.groups || []).length)));
+    const lines = [];
+
+    if (groupCount > 0) {
+      const groups = Array.from({ length: groupCount }, (_, i) => `Group ${i + 1}`);
+      lines.push([
+        ...(columns.url ? ['URL'] : []),
+        'Match',
+        ...groups,
+        ...(columns.context ? ['Context'] : [])
+      ].join('\t'));
+    }
+
+    data.pages.forEach(page => {
+      page.matches.forEach(m => {
+        const groups = Array.from({ length: groupCount }, (_, i) => (m.groups && m.groups[i]) || '');
+        lines.push([
+          ...(columns.url ? [page.url] : []),
+          m.text,
+          ...groups,
+          ...(columns.context ? [m.before + m.text + m.after] : [])
+        ].map(cell => this.textCell(cell)).join('\t'));
+      });
+    });
+
+    return lines.join('\n') + '\n';
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Exporter;
+}
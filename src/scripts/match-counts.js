@@ -0,0 +1,38 @@
+/**
+ * CTRL+F Pro Match Counts
+ * Lets content.js tell overlay.js that the match counts changed without
+ * being asked: while a scan is still running, and after live updates.
+ *
+ * Both scripts run in the extension's isolated world, whose globals the
+ * page cannot reach, so the counts are handed over with a plain function
+ * call. A DOM event would be seen, and could be faked, by the page.
+ */
+
+const MatchCounts = {
+
+  // Functions called with each new count object
+  listeners: [],
+
+  /**
+   * Call a function whenever the counts change.
+   *
+   * @param {Function} listener  Called with the count object, see getMatchCounts() in content.js
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+  },
+
+  /**
+   * Hand new counts to every listener.
+   *
+   * @param {Object} counts  Count object
+   */
+  publish(counts) {
+    this.listeners.forEach(listener => listener(counts));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MatchCounts;
+}
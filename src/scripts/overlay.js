@@ -6,96 +6,292 @@
 (function() {
   'use strict';
 
+  // Frames get the content scripts too, but the search bar belongs to the
+  // top frame, which searches the frames through them
+  if (window !== window.top) return;
+
   const OVERLAY_ID = 'ctrlf-pro-overlay';
+  const UNTRUSTED_EVENTS = ['click', 'keydown', 'input', 'change', 'submit'];
+  const TERM_COLOR_COUNT = 6;
+  const DEFAULT_FAVICON = 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 24 24%22 fill=%22%236c757d%22><rect width=%2218%22 height=%2218%22 x=%223%22 y=%223%22 rx=%222%22/></svg>';
   
+  // The overlay lives in a closed shadow root, out of the page's reach
+  let overlayHost = null;
+  let overlayRoot = null;
+
   // State
   let isExpanded = false;
   let settingsExpanded = false;
+  let replaceExpanded = false;
+  let replaceStatusTimer = null;
+  let copyExpanded = false;
+  let copyStatusTimer = null;
+
+  // Where focus was before the overlay opened, to give it back on close
+  let previousFocus = null;
+
+  // Last message read out by the live region, so repeats stay quiet
+  let lastAnnouncement = '';
+
+  // Result the arrow keys are on in the tab list, by getResultKey()
+  let activeResult = null;
   let searchTimeout = null;
   let tabResults = [];
   let filteredTabs = [];
+  let historyResults = [];
+  let filteredHistory = [];
+  let historyLeftOut = false;
+  let skippedTabs = [];
+  let filteredSkipped = [];
+  let searchGeneration = 0;
+  let searchProgress = null;
+  let exportStatusTimer = null;
+
+  // Tab results ticked for bulk actions, by tab ID
+  let selectedTabs = new Set();
+  let bulkStatusTimer = null;
+
+  // Closes the name field askName() has open, if any
+  let cancelNameField = null;
+
+  // Time (ms) "Undo" stays up after closing tabs; the background keeps
+  // what it needs to undo as long, see UNDO_CLOSE_TIMEOUT there
+  const UNDO_TIMEOUT = 10000;
+
+  // Recent and saved searches for autocomplete, kept by the background
+  let searches = { history: [], saved: [] };
+  let suggestions = [];
+  let suggestionIndex = -1;
+  const MAX_SUGGESTIONS = 8;
   
   // Options
-  let options = {
-    caseSensitive: false,
-    wholeWord: false
-  };
+  let options = { ...Settings.DEFAULTS.searchOptions };
+
+  // Settings from the options page (see settings.js)
+  let defaultOptions = Settings.DEFAULTS.searchOptions;
+  let searchDelay = Settings.DEFAULTS.searchDelay;
+
+  // Short tags for the options a suggestion fills in
+  const OPTION_TAGS = [
+    { key: 'caseSensitive', label: 'Aa', title: 'Case sensitive' },
+    { key: 'wholeWord', label: 'W', title: 'Whole word only' },
+    { key: 'regex', label: '.*', title: 'Regular expression' },
+    { key: 'multiTerm', label: ',', title: 'Multiple terms' },
+    { key: 'includeFields', label: 'Fields', title: 'Search form fields' }
+  ];
 
   /**
    * SVG Icons
    */
   const Icons = {
-    search: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>`,
-    chevronUp: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>`,
-    chevronDown: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>`,
-    close: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>`,
-    settings: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>`,
-    expand: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="18" x="3" y="3" rx="2"/><path d="M9 3v18"/></svg>`,
-    tab: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><path d="M4 8h16"/></svg>`
+    search: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="8"/><path d="m21 21-4.3-4.3"/></svg>`,
+    chevronUp: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m18 15-6-6-6 6"/></svg>`,
+    chevronDown: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m6 9 6 6 6-6"/></svg>`,
+    close: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M18 6 6 18"/><path d="m6 6 12 12"/></svg>`,
+    settings: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="3"/><path d="M19.4 15a1.65 1.65 0 0 0 .33 1.82l.06.06a2 2 0 0 1 0 2.83 2 2 0 0 1-2.83 0l-.06-.06a1.65 1.65 0 0 0-1.82-.33 1.65 1.65 0 0 0-1 1.51V21a2 2 0 0 1-2 2 2 2 0 0 1-2-2v-.09A1.65 1.65 0 0 0 9 19.4a1.65 1.65 0 0 0-1.82.33l-.06.06a2 2 0 0 1-2.83 0 2 2 0 0 1 0-2.83l.06-.06a1.65 1.65 0 0 0 .33-1.82 1.65 1.65 0 0 0-1.51-1H3a2 2 0 0 1-2-2 2 2 0 0 1 2-2h.09A1.65 1.65 0 0 0 4.6 9a1.65 1.65 0 0 0-.33-1.82l-.06-.06a2 2 0 0 1 0-2.83 2 2 0 0 1 2.83 0l.06.06a1.65 1.65 0 0 0 1.82.33H9a1.65 1.65 0 0 0 1-1.51V3a2 2 0 0 1 2-2 2 2 0 0 1 2 2v.09a1.65 1.65 0 0 0 1 1.51 1.65 1.65 0 0 0 1.82-.33l.06-.06a2 2 0 0 1 2.83 0 2 2 0 0 1 0 2.83l-.06.06a1.65 1.65 0 0 0-.33 1.82V9a1.65 1.65 0 0 0 1.51 1H21a2 2 0 0 1 2 2 2 2 0 0 1-2 2h-.09a1.65 1.65 0 0 0-1.51 1z"/></svg>`,
+    expand: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="18" height="18" x="3" y="3" rx="2"/><path d="M9 3v18"/></svg>`,
+    download: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><path d="m7 10 5 5 5-5"/><path d="M12 15V3"/></svg>`,
+    star: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="m12 2 3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/></svg>`,
+    replace: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14 4a2 2 0 0 1 2-2"/><path d="M16 10a2 2 0 0 1-2-2"/><path d="M20 2a2 2 0 0 1 2 2"/><path d="M22 8a2 2 0 0 1-2 2"/><path d="m3 7 3 3 3-3"/><path d="M6 10V5a3 3 0 0 1 3-3h1"/><rect x="2" y="14" width="8" height="8" rx="2"/></svg>`,
+    copy: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect width="14" height="14" x="8" y="8" rx="2"/><path d="M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2"/></svg>`,
+    undo: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 14 4 9l5-5"/><path d="M4 9h10.5a5.5 5.5 0 0 1 0 11H11"/></svg>`,
+    tab: `<svg aria-hidden="true" focusable="false" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/><path d="M4 8h16"/></svg>`
   };
 
+  /**
+   * Get the overlay element, if it has been created
+   * @returns {Element|null}  The overlay, inside its shadow root
+   */
+  function getOverlay() {
+    return overlayRoot ? overlayRoot.getElementById(OVERLAY_ID) : null;
+  }
+
   /**
    * Create the overlay HTML
+   * It is built inside a closed shadow root: the page shares the DOM with
+   * this script, and could otherwise read the results of other tabs off
+   * the overlay, or click its buttons to close or move those tabs. Page
+   * scripts cannot reach into a closed root, and events they make up are
+   * dropped at its edge all the same. overlay.css is linked inside, since
+   * page stylesheets do not reach in either.
    */
   function createOverlay() {
     // Check if already exists
-    if (document.getElementById(OVERLAY_ID)) {
-      return document.getElementById(OVERLAY_ID);
-    }
+    const existing = getOverlay();
+    if (existing) return existing;
+
+    // The host keeps the overlay's id, which content.js skips when walking
+    overlayHost = document.createElement('ctrlf-pro-overlay');
+    overlayHost.id = OVERLAY_ID;
+    overlayHost.dataset.ctrlfPro = 'overlay';
+    overlayRoot = overlayHost.attachShadow({ mode: 'closed' });
+    UNTRUSTED_EVENTS.forEach(type => {
+      overlayRoot.addEventListener(type, (e) => {
+        if (!e.isTrusted) e.stopImmediatePropagation();
+      }, true);
+    });
+
+    // Stay hidden until styled, rather than flash unstyled markup
+    const style = document.createElement('link');
+    style.rel = 'stylesheet';
+    style.href = chrome.runtime.getURL('src/styles/overlay.css');
+    overlayHost.hidden = true;
+    style.addEventListener('load', () => { overlayHost.hidden = false; });
+    style.addEventListener('error', () => { overlayHost.hidden = false; });
+    overlayRoot.appendChild(style);
 
     const overlay = document.createElement('div');
     overlay.id = OVERLAY_ID;
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Find in page');
     overlay.innerHTML = `
       <!-- Search Bar -->
-      <div class="ctrlf-pro-searchbar">
+      <div class="ctrlf-pro-searchbar" role="search">
         <span class="ctrlf-pro-search-icon">${Icons.search}</span>
-        <input type="text" class="ctrlf-pro-input" placeholder="Search in page..." autocomplete="off" spellcheck="false" />
+        <input type="text" class="ctrlf-pro-input" placeholder="Search in page..." autocomplete="off" spellcheck="false"
+          aria-label="Search in page" role="combobox" aria-autocomplete="list" aria-expanded="false" aria-controls="ctrlf-pro-suggestions" />
         <span class="ctrlf-pro-counter">0 results</span>
+        <div class="ctrlf-pro-live" role="status" aria-live="polite"></div>
         <div class="ctrlf-pro-divider"></div>
         <div class="ctrlf-pro-nav-group">
           <button class="ctrlf-pro-btn ctrlf-pro-btn-prev" title="Previous (Shift+Enter)">${Icons.chevronUp}</button>
           <button class="ctrlf-pro-btn ctrlf-pro-btn-next" title="Next (Enter)">${Icons.chevronDown}</button>
         </div>
         <div class="ctrlf-pro-divider"></div>
-        <button class="ctrlf-pro-btn ctrlf-pro-btn-expand" title="Search all tabs">${Icons.tab}</button>
-        <button class="ctrlf-pro-btn ctrlf-pro-btn-settings" title="Settings">${Icons.settings}</button>
+        <button class="ctrlf-pro-btn ctrlf-pro-btn-replace-toggle" title="Replace" aria-expanded="false">${Icons.replace}</button>
+        <button class="ctrlf-pro-btn ctrlf-pro-btn-copy-toggle" title="Copy matches" aria-expanded="false">${Icons.copy}</button>
+        <button class="ctrlf-pro-btn ctrlf-pro-btn-expand" title="Search all tabs" aria-expanded="false">${Icons.tab}</button>
+        <button class="ctrlf-pro-btn ctrlf-pro-btn-settings" title="Settings" aria-expanded="false">${Icons.settings}</button>
         <button class="ctrlf-pro-btn ctrlf-pro-btn-close" title="Close (Esc)">${Icons.close}</button>
       </div>
 
+      <!-- Replace Bar -->
+      <div class="ctrlf-pro-replacebar">
+        <input type="text" class="ctrlf-pro-replace-input" placeholder="Replace with..." autocomplete="off" spellcheck="false" aria-label="Replace with" />
+        <button class="ctrlf-pro-text-btn ctrlf-pro-btn-replace" title="Replace this match (Enter)">Replace</button>
+        <button class="ctrlf-pro-text-btn ctrlf-pro-btn-replace-all" title="Replace every match in editable text (Ctrl+Enter)">All</button>
+        <button class="ctrlf-pro-btn ctrlf-pro-btn-undo-replace" title="Undo the last replace" disabled>${Icons.undo}</button>
+        <div class="ctrlf-pro-replace-status" role="status"></div>
+      </div>
+
+      <!-- Copy Matches -->
+      <div class="ctrlf-pro-copybar">
+        <span class="ctrlf-pro-copy-label">Copy matches from</span>
+        <button class="ctrlf-pro-text-btn" data-copy="page">This page</button>
+        <button class="ctrlf-pro-text-btn" data-copy="tabs" title="Every tab in the all-tabs results">All tabs</button>
+        <label class="ctrlf-pro-copy-option" title="Copy 40 characters either side of each match">
+          <input type="checkbox" data-column="context" /> Context
+        </label>
+        <label class="ctrlf-pro-copy-option" title="Start each line with the page's URL">
+          <input type="checkbox" data-column="url" /> URL
+        </label>
+        <div class="ctrlf-pro-copy-status" role="status"></div>
+      </div>
+
+      <!-- Recent and Saved Searches -->
+      <div class="ctrlf-pro-suggestions" id="ctrlf-pro-suggestions" role="listbox" aria-label="Recent and saved searches"></div>
+      <div class="ctrlf-pro-save-name"></div>
+
+      <!-- Per-Term Counts -->
+      <div class="ctrlf-pro-terms"></div>
+
       <!-- Multi-Tab Dropdown -->
       <div class="ctrlf-pro-dropdown">
         <div class="ctrlf-pro-dropdown-header">
-          <span class="ctrlf-pro-dropdown-title">Results in all tabs</span>
+          <span class="ctrlf-pro-dropdown-title">
+            Results in
+            <select class="ctrlf-pro-scope" title="Which tabs to search">
+              <option value="window">this window</option>
+              <option value="group">this tab group</option>
+              <option value="highlighted">selected tabs</option>
+              <option value="pinned">pinned tabs</option>
+              <option value="all">all windows</option>
+            </select>
+          </span>
           <span class="ctrlf-pro-dropdown-count">0 tabs</span>
+          <button class="ctrlf-pro-btn ctrlf-pro-btn-export" title="Export results" aria-expanded="false" disabled>${Icons.download}</button>
+        </div>
+        <div class="ctrlf-pro-export">
+          <div class="ctrlf-pro-export-row">
+            <span class="ctrlf-pro-export-label">Copy</span>
+            <button class="ctrlf-pro-text-btn" data-export="copy" data-format="markdown">Markdown</button>
+            <button class="ctrlf-pro-text-btn" data-export="copy" data-format="csv">CSV</button>
+            <button class="ctrlf-pro-text-btn" data-export="copy" data-format="json">JSON</button>
+          </div>
+          <div class="ctrlf-pro-export-row">
+            <span class="ctrlf-pro-export-label">Download</span>
+            <button class="ctrlf-pro-text-btn" data-export="download" data-format="markdown">Markdown</button>
+            <button class="ctrlf-pro-text-btn" data-export="download" data-format="csv">CSV</button>
+            <button class="ctrlf-pro-text-btn" data-export="download" data-format="json">JSON</button>
+            <span class="ctrlf-pro-export-status" role="status"></span>
+          </div>
         </div>
+        <div class="ctrlf-pro-progress"><div class="ctrlf-pro-progress-bar"></div></div>
         <div class="ctrlf-pro-tab-filter">
-          <input type="text" class="ctrlf-pro-tab-filter-input" placeholder="Filter tabs..." />
+          <input type="text" class="ctrlf-pro-tab-filter-input" placeholder="Filter tabs..." aria-label="Filter tabs" />
+        </div>
+        <div class="ctrlf-pro-bulk">
+          <label class="ctrlf-pro-bulk-all" title="Select all shown tabs">
+            <input type="checkbox" class="ctrlf-pro-bulk-check" />
+            <span class="ctrlf-pro-bulk-count">Select</span>
+          </label>
+          <button class="ctrlf-pro-text-btn" data-bulk="close" title="Close the selected tabs" disabled>Close</button>
+          <button class="ctrlf-pro-text-btn" data-bulk="window" title="Move the selected tabs to a new window" disabled>New window</button>
+          <button class="ctrlf-pro-text-btn" data-bulk="group" title="Put the selected tabs in a named tab group" disabled>Group…</button>
+          <button class="ctrlf-pro-text-btn" data-bulk="bookmark" title="Bookmark the selected tabs into a folder" disabled>Bookmark…</button>
+          <div class="ctrlf-pro-bulk-name"></div>
+          <div class="ctrlf-pro-bulk-status" role="status"></div>
         </div>
-        <div class="ctrlf-pro-tab-list"></div>
+        <div class="ctrlf-pro-tab-list" role="listbox" aria-label="Tabs with matches" aria-multiselectable="true" tabindex="0"></div>
       </div>
 
       <!-- Settings Panel -->
       <div class="ctrlf-pro-settings">
         <div class="ctrlf-pro-settings-content">
           <div class="ctrlf-pro-setting-row">
-            <span class="ctrlf-pro-setting-label">Case sensitive</span>
+            <label class="ctrlf-pro-setting-label" for="ctrlf-setting-case">Case sensitive</label>
             <label class="ctrlf-pro-toggle">
               <input type="checkbox" id="ctrlf-setting-case" />
               <span class="ctrlf-pro-toggle-slider"></span>
             </label>
           </div>
           <div class="ctrlf-pro-setting-row">
-            <span class="ctrlf-pro-setting-label">Whole word only</span>
+            <label class="ctrlf-pro-setting-label" for="ctrlf-setting-whole">Whole word only</label>
             <label class="ctrlf-pro-toggle">
               <input type="checkbox" id="ctrlf-setting-whole" />
               <span class="ctrlf-pro-toggle-slider"></span>
             </label>
           </div>
+          <div class="ctrlf-pro-setting-row">
+            <label class="ctrlf-pro-setting-label" for="ctrlf-setting-regex">Regular expression</label>
+            <label class="ctrlf-pro-toggle">
+              <input type="checkbox" id="ctrlf-setting-regex" />
+              <span class="ctrlf-pro-toggle-slider"></span>
+            </label>
+          </div>
+          <div class="ctrlf-pro-setting-row">
+            <label class="ctrlf-pro-setting-label" for="ctrlf-setting-multi">Multiple terms (comma separated)</label>
+            <label class="ctrlf-pro-toggle">
+              <input type="checkbox" id="ctrlf-setting-multi" />
+              <span class="ctrlf-pro-toggle-slider"></span>
+            </label>
+          </div>
+          <div class="ctrlf-pro-setting-row">
+            <label class="ctrlf-pro-setting-label" for="ctrlf-setting-fields">Search form fields and editable text</label>
+            <label class="ctrlf-pro-toggle">
+              <input type="checkbox" id="ctrlf-setting-fields" />
+              <span class="ctrlf-pro-toggle-slider"></span>
+            </label>
+          </div>
+          <div class="ctrlf-pro-setting-row">
+            <button class="ctrlf-pro-text-btn" id="ctrlf-setting-more">Page index, defaults, colours and more&hellip;</button>
+          </div>
         </div>
       </div>
     `;
 
-    document.body.appendChild(overlay);
+    overlayRoot.appendChild(overlay);
+    document.body.appendChild(overlayHost);
     attachEventListeners(overlay);
     
     return overlay;
@@ -114,30 +310,118 @@
     const dropdown = overlay.querySelector('.ctrlf-pro-dropdown');
     const settings = overlay.querySelector('.ctrlf-pro-settings');
     const tabFilterInput = overlay.querySelector('.ctrlf-pro-tab-filter-input');
+    const suggestionList = overlay.querySelector('.ctrlf-pro-suggestions');
+    const scopeSelect = overlay.querySelector('.ctrlf-pro-scope');
+    const btnExport = overlay.querySelector('.ctrlf-pro-btn-export');
+    const exportMenu = overlay.querySelector('.ctrlf-pro-export');
+    const bulkBar = overlay.querySelector('.ctrlf-pro-bulk');
+    const btnReplaceToggle = overlay.querySelector('.ctrlf-pro-btn-replace-toggle');
+    const replaceBar = overlay.querySelector('.ctrlf-pro-replacebar');
+    const replaceInput = overlay.querySelector('.ctrlf-pro-replace-input');
+    const btnCopyToggle = overlay.querySelector('.ctrlf-pro-btn-copy-toggle');
+    const copyBar = overlay.querySelector('.ctrlf-pro-copybar');
 
     // Search input
     input.addEventListener('input', (e) => {
+      showSuggestions(e.target.value);
       clearTimeout(searchTimeout);
       searchTimeout = setTimeout(() => {
         performSearch(e.target.value);
-      }, 150);
+        if (isExpanded) searchAllTabs(e.target.value);
+      }, searchDelay);
     });
 
-    // Keyboard navigation
+    // Keyboard navigation; while suggestions are open, the arrow keys,
+    // Enter and Escape act on them instead
     input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
+      const open = suggestions.length > 0;
+
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!open) {
+          showSuggestions(input.value, true);
+        } else {
+          moveSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+        }
+      } else if (e.key === 'Enter') {
         e.preventDefault();
+        if (open && suggestionIndex !== -1) {
+          applySuggestion(suggestions[suggestionIndex]);
+          return;
+        }
+        hideSuggestions();
+        recordSearch(input.value);
         if (e.shiftKey) {
           navigatePrevious();
         } else {
           navigateNext();
         }
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        if (open) {
+          hideSuggestions();
+        } else {
+          hideOverlay();
+        }
+      }
+    });
+
+    input.addEventListener('focus', loadSearches);
+    input.addEventListener('blur', hideSuggestions);
+
+    // Keep focus in the input while clicking a suggestion
+    suggestionList.addEventListener('mousedown', (e) => e.preventDefault());
+
+    suggestionList.addEventListener('click', (e) => {
+      const item = e.target.closest('.ctrlf-pro-suggestion');
+      if (!item) return;
+
+      const suggestion = suggestions[parseInt(item.dataset.suggestionIndex, 10)];
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'save') {
+        pinSearch(suggestion);
+      } else if (action === 'delete') {
+        unpinSearch(suggestion);
+      } else {
+        applySuggestion(suggestion);
+      }
+    });
+
+    // Replace in editable text
+    btnReplaceToggle.addEventListener('click', () => {
+      replaceExpanded = !replaceExpanded;
+      replaceBar.classList.toggle('visible', replaceExpanded);
+      btnReplaceToggle.classList.toggle('active', replaceExpanded);
+      btnReplaceToggle.setAttribute('aria-expanded', String(replaceExpanded));
+      if (replaceExpanded) replaceInput.focus();
+    });
+
+    replaceInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        replaceMatches(e.ctrlKey || e.metaKey);
       } else if (e.key === 'Escape') {
         e.preventDefault();
         hideOverlay();
       }
     });
 
+    // Copy matches
+    btnCopyToggle.addEventListener('click', () => {
+      copyExpanded = !copyExpanded;
+      copyBar.classList.toggle('visible', copyExpanded);
+      btnCopyToggle.classList.toggle('active', copyExpanded);
+      btnCopyToggle.setAttribute('aria-expanded', String(copyExpanded));
+    });
+
+    copyBar.querySelectorAll('[data-copy]').forEach(button => {
+      button.addEventListener('click', () => copyMatches(button.dataset.copy));
+    });
+
+    replaceBar.querySelector('.ctrlf-pro-btn-replace').addEventListener('click', () => replaceMatches(false));
+    replaceBar.querySelector('.ctrlf-pro-btn-replace-all').addEventListener('click', () => replaceMatches(true));
+    replaceBar.querySelector('.ctrlf-pro-btn-undo-replace').addEventListener('click', undoReplace);
+
     // Navigation buttons
     btnPrev.addEventListener('click', navigatePrevious);
     btnNext.addEventListener('click', navigateNext);
@@ -148,10 +432,43 @@
       dropdown.classList.toggle('expanded', isExpanded);
       settings.classList.remove('expanded');
       settingsExpanded = false;
+      btnExpand.setAttribute('aria-expanded', String(isExpanded));
+      btnSettings.setAttribute('aria-expanded', 'false');
       
       if (isExpanded) {
-        searchAllTabs(input.value);
+        recordSearch(input.value);
+        loadScope().then(() => searchAllTabs(input.value));
+      }
+    });
+
+    // Export results
+    btnExport.addEventListener('click', () => {
+      btnExport.setAttribute('aria-expanded', String(exportMenu.classList.toggle('visible')));
+    });
+
+    exportMenu.querySelectorAll('[data-export]').forEach(button => {
+      button.addEventListener('click', () => exportResults(button.dataset.export, button.dataset.format));
+    });
+
+    // Bulk actions on the ticked tabs
+    bulkBar.querySelector('.ctrlf-pro-bulk-check').addEventListener('change', (e) => {
+      selectAllTabs(e.target.checked);
+    });
+
+    bulkBar.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-bulk]');
+      if (button) runBulkAction(button.dataset.bulk);
+      if (e.target.closest('[data-undo]')) undoCloseTabs();
+    });
+
+    // Search scope
+    scopeSelect.addEventListener('change', async () => {
+      try {
+        await chrome.runtime.sendMessage({ action: 'setScope', scope: scopeSelect.value });
+      } catch (error) {
+        console.error('Scope update error:', error);
       }
+      searchAllTabs(input.value);
     });
 
     // Settings toggle
@@ -160,6 +477,8 @@
       settings.classList.toggle('expanded', settingsExpanded);
       dropdown.classList.remove('expanded');
       isExpanded = false;
+      btnSettings.setAttribute('aria-expanded', String(settingsExpanded));
+      btnExpand.setAttribute('aria-expanded', 'false');
     });
 
     // Close button
@@ -170,6 +489,22 @@
       filterTabs(e.target.value);
     });
 
+    // Keyboard access to the results, see handleTabListKeydown()
+    const tabList = overlay.querySelector('.ctrlf-pro-tab-list');
+    tabList.addEventListener('keydown', handleTabListKeydown);
+    tabList.addEventListener('focus', () => {
+      if (!getActiveResultItem()) setActiveResult(tabList.querySelector('.ctrlf-pro-tab-item'));
+    });
+
+    // Escape closes the overlay from anywhere inside it; fields that use
+    // Escape themselves mark the event handled
+    overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !e.defaultPrevented) {
+        e.preventDefault();
+        hideOverlay();
+      }
+    });
+
     // Settings toggles
     overlay.querySelector('#ctrlf-setting-case').addEventListener('change', (e) => {
       options.caseSensitive = e.target.checked;
@@ -183,6 +518,29 @@
       performSearch(input.value);
     });
 
+    overlay.querySelector('#ctrlf-setting-regex').addEventListener('change', (e) => {
+      options.regex = e.target.checked;
+      updateSettings();
+      performSearch(input.value);
+    });
+
+    overlay.querySelector('#ctrlf-setting-multi').addEventListener('change', (e) => {
+      options.multiTerm = e.target.checked;
+      syncSettingsUI(overlay);
+      updateSettings();
+      performSearch(input.value);
+    });
+
+    overlay.querySelector('#ctrlf-setting-fields').addEventListener('change', (e) => {
+      options.includeFields = e.target.checked;
+      updateSettings();
+      performSearch(input.value);
+    });
+
+    overlay.querySelector('#ctrlf-setting-more').addEventListener('click', () => {
+      chrome.runtime.sendMessage({ action: 'openOptions' });
+    });
+
     // Global keyboard listener
     document.addEventListener('keydown', handleGlobalKeydown);
   }
@@ -191,6 +549,9 @@
    * Handle global keyboard shortcuts
    */
   function handleGlobalKeydown(e) {
+    // The page can make up key events, but not trusted ones
+    if (!e.isTrusted) return;
+
     // Ctrl+Shift+F to toggle
     if (e.ctrlKey && e.shiftKey && e.key === 'F') {
       e.preventDefault();
@@ -202,14 +563,26 @@
    * Perform search in current tab
    */
   async function performSearch(query) {
-    const overlay = document.getElementById(OVERLAY_ID);
+    const overlay = getOverlay();
     if (!overlay) return;
 
     const counter = overlay.querySelector('.ctrlf-pro-counter');
     
     if (!query || query.trim().length === 0) {
       counter.textContent = '0 results';
-      counter.classList.remove('has-results');
+      counter.removeAttribute('title');
+      counter.classList.remove('has-results', 'has-error');
+      announce('');
+      updateTermCounts(null);
+      chrome.runtime.sendMessage({ action: 'clear' });
+      return;
+    }
+
+    // Reject bad patterns here so they never reach any tab
+    const patternError = validateQuery(query);
+    if (patternError) {
+      showCounterError(patternError);
+      updateTermCounts(null);
       chrome.runtime.sendMessage({ action: 'clear' });
       return;
     }
@@ -222,35 +595,74 @@
       });
 
       if (response?.result?.counts) {
-        const { total, current } = response.result.counts;
-        counter.textContent = total > 0 ? `${current} of ${total}` : 'No results';
-        counter.classList.toggle('has-results', total > 0);
+        updateCounter(response.result.counts);
       }
     } catch (error) {
       console.error('Search error:', error);
     }
   }
 
+  /**
+   * Check a query before it is sent anywhere
+   * @returns {string|null}  Error message, or null if the query is usable
+   */
+  function validateQuery(query) {
+    const patternError = SearchEngine.validate(query, options);
+    if (patternError) return patternError;
+
+    // Regex mode has its own use for parentheses, so boolean syntax is off there
+    if (!options.regex && QueryParser.isBoolean(query)) {
+      return QueryParser.parse(query).error || null;
+    }
+
+    return null;
+  }
+
   /**
    * Search across all tabs
+   * Results stream in per tab through handleTabResult(). Every call gets a
+   * new generation id; anything tagged with an older id belongs to a
+   * superseded query and is ignored.
    */
   async function searchAllTabs(query) {
-    if (!query || query.trim().length === 0) {
-      updateTabList([]);
+    const searchId = ++searchGeneration;
+    tabResults = [];
+    historyResults = [];
+    historyLeftOut = false;
+    skippedTabs = [];
+    selectedTabs.clear();
+    showBulkStatus('');
+
+    if (!query || query.trim().length === 0 || validateQuery(query)) {
+      searchProgress = null;
+      chrome.runtime.sendMessage({ action: 'cancelSearchAll' });
+      updateTabList([], [], []);
+      updateDropdownCount({ tabCount: 0, total: 0 });
       return;
     }
 
+    searchProgress = { done: 0, total: 0 };
+    filterTabs(getTabFilter());
+    updateProgress();
+
     try {
       const response = await chrome.runtime.sendMessage({
         action: 'searchAll',
         query: query,
-        options: options
+        options: options,
+        searchId: searchId
       });
 
+      if (searchId !== searchGeneration || response?.results?.cancelled) return;
+
       if (response?.results?.tabs) {
+        searchProgress = null;
         tabResults = response.results.tabs;
-        filteredTabs = [...tabResults];
-        updateTabList(filteredTabs);
+        historyResults = response.results.history || [];
+        historyLeftOut = Boolean(response.results.historyLeftOut);
+        skippedTabs = response.results.skipped || [];
+        filterTabs(getTabFilter());
+        updateProgress();
         updateDropdownCount(response.results);
       }
     } catch (error) {
@@ -259,172 +671,1245 @@
   }
 
   /**
-   * Update the tab results list
+   * Add one streamed tab result to the list
+   */
+  function handleTabResult(message) {
+    if (message.searchId !== searchGeneration || !searchProgress) return;
+
+    searchProgress = message.progress;
+
+    if (message.result) {
+      tabResults = tabResults.filter(tab => tab.tabId !== message.result.tabId);
+      tabResults.push(message.result);
+      tabResults.sort((a, b) => a.order - b.order);
+      filterTabs(getTabFilter());
+    }
+
+    updateProgress();
+  }
+
+  /**
+   * Show how many tabs have answered so far
+   */
+  function updateProgress() {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const bar = overlay.querySelector('.ctrlf-pro-progress');
+    bar.classList.toggle('active', Boolean(searchProgress));
+
+    if (!searchProgress) return;
+
+    const { done, total } = searchProgress;
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    bar.querySelector('.ctrlf-pro-progress-bar').style.width = `${percent}%`;
+
+    const count = overlay.querySelector('.ctrlf-pro-dropdown-count');
+    count.textContent = total > 0 ? `${done}/${total} tabs` : 'Searching...';
+  }
+
+  /**
+   * Current value of the tab filter input
    */
-  function updateTabList(tabs) {
-    const overlay = document.getElementById(OVERLAY_ID);
+  function getTabFilter() {
+    const overlay = getOverlay();
+    return overlay ? overlay.querySelector('.ctrlf-pro-tab-filter-input').value : '';
+  }
+
+  /**
+   * Update the tab results list, followed by matching pages from the
+   * page index that are no longer open and the tabs left unsearched by
+   * the allow and deny lists
+   */
+  function updateTabList(tabs, history = [], skipped = []) {
+    const overlay = getOverlay();
     if (!overlay) return;
 
     const tabList = overlay.querySelector('.ctrlf-pro-tab-list');
-    
-    if (tabs.length === 0) {
-      tabList.innerHTML = '<div class="ctrlf-pro-no-results">No results found in other tabs</div>';
+
+    // Exports cover every tab result, whatever the filter shows
+    overlay.querySelector('.ctrlf-pro-btn-export').disabled = tabResults.length === 0;
+    if (tabResults.length === 0) {
+      overlay.querySelector('.ctrlf-pro-export').classList.remove('visible');
+      overlay.querySelector('.ctrlf-pro-btn-export').setAttribute('aria-expanded', 'false');
+    }
+    updateBulkBar();
+
+    if (tabs.length === 0 && history.length === 0 && skipped.length === 0 && !historyLeftOut) {
+      const message = searchProgress ? 'Searching tabs...' : 'No results found in other tabs';
+      tabList.innerHTML = `<div class="ctrlf-pro-no-results">${message}</div>`;
+      tabList.removeAttribute('aria-activedescendant');
       return;
     }
 
-    tabList.innerHTML = tabs.map(tab => `
-      <div class="ctrlf-pro-tab-item" data-tab-id="${tab.tabId}">
-        <img class="ctrlf-pro-tab-favicon" src="${tab.favicon || 'data:image/svg+xml,<svg xmlns=%22http://www.w3.org/2000/svg%22 viewBox=%220 0 24 24%22 fill=%22%236c757d%22><rect width=%2218%22 height=%2218%22 x=%223%22 y=%223%22 rx=%222%22/></svg>'}" alt="" />
-        <div class="ctrlf-pro-tab-info">
-          <div class="ctrlf-pro-tab-title">${escapeHtml(tab.title || 'Untitled')}</div>
-          <div class="ctrlf-pro-tab-url">${escapeHtml(new URL(tab.url).hostname)}</div>
-        </div>
-        <span class="ctrlf-pro-tab-count">${tab.counts.total} match${tab.counts.total !== 1 ? 'es' : ''}</span>
-      </div>
-    `).join('');
+    tabList.innerHTML = renderTabSections(tabs) +
+      (history.length > 0 ? renderSection('Recently closed / history',
+        history.map(page => renderResultItem(page, `data-url="${escapeHtml(page.url)}"`, ` · ${new Date(page.indexedAt).toLocaleDateString()}`)).join('')) : '') +
+      (historyLeftOut ? renderSection('Recently closed / history',
+        '<div class="ctrlf-pro-section-note">Closed pages are not searched in regex mode</div>') : '') +
+      (skipped.length > 0 ? renderSection('Not searched', skipped.map(renderSkippedItem).join('')) : '');
+
+    // Options need ids for aria-activedescendant; keep the arrow keys on
+    // the same result as results stream in
+    tabList.querySelectorAll('.ctrlf-pro-tab-item').forEach((item, i) => {
+      item.id = `ctrlf-pro-result-${i}`;
+    });
+    setActiveResult(getActiveResultItem(), false);
 
     // Add click handlers
     tabList.querySelectorAll('.ctrlf-pro-tab-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const tabId = parseInt(item.dataset.tabId, 10);
-        switchToTab(tabId);
+      item.addEventListener('click', () => openResult(item));
+    });
+
+    // Ticking a tab selects it for bulk actions rather than opening it
+    tabList.querySelectorAll('.ctrlf-pro-tab-check').forEach(check => {
+      check.addEventListener('click', (e) => e.stopPropagation());
+      check.addEventListener('change', () => selectTab(check));
+    });
+
+    // A snippet jumps to its own match rather than the first one
+    tabList.querySelectorAll('.ctrlf-pro-snippet').forEach(snippet => {
+      snippet.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openResult(snippet.closest('.ctrlf-pro-tab-item'), parseInt(snippet.dataset.matchIndex, 10));
       });
     });
   }
 
   /**
-   * Update dropdown header count
+   * Render one tab or indexed page in the results list; open tabs get a
+   * checkbox for bulk actions. The checkbox is for the mouse: keyboard and
+   * screen reader users select the option itself, see handleTabListKeydown()
    */
-  function updateDropdownCount(results) {
-    const overlay = document.getElementById(OVERLAY_ID);
-    if (!overlay) return;
-
-    const count = overlay.querySelector('.ctrlf-pro-dropdown-count');
-    count.textContent = `${results.tabCount} tab${results.tabCount !== 1 ? 's' : ''} · ${results.total} total`;
+  function renderResultItem(result, dataAttribute, meta, selectable = false) {
+    const selected = selectable ? ` aria-selected="${selectedTabs.has(result.tabId)}"` : '';
+    return `
+      <div class="ctrlf-pro-tab-item${selectable ? ' is-selectable' : ''}" role="option"${selected} ${dataAttribute}>
+        ${selectable ? `<input type="checkbox" class="ctrlf-pro-tab-check" title="Select for bulk actions" tabindex="-1" aria-hidden="true"${selectedTabs.has(result.tabId) ? ' checked' : ''} />` : ''}
+        <img class="ctrlf-pro-tab-favicon" src="${escapeHtml(result.favicon || DEFAULT_FAVICON)}" alt="" />
+        <div class="ctrlf-pro-tab-info">
+          <div class="ctrlf-pro-tab-title">${result.cached ? `<span class="ctrlf-pro-cached" title="Searched a saved copy from ${new Date(result.cachedAt).toLocaleString()}; click to reload the tab">cached</span>` : ''}${escapeHtml(result.title || 'Untitled')}</div>
+          <div class="ctrlf-pro-tab-url">${escapeHtml(new URL(result.url).hostname + meta)}</div>
+        </div>
+        <span class="ctrlf-pro-tab-count">${result.counts.total} match${result.counts.total !== 1 ? 'es' : ''}</span>
+        ${result.counts.terms ? `<div class="ctrlf-pro-tab-terms">${renderTermChips(result.counts.terms)}</div>` : ''}
+        ${result.clauses ? `<div class="ctrlf-pro-tab-clauses">${renderClauses(result.clauses)}</div>` : ''}
+        ${result.snippets?.length ? `<div class="ctrlf-pro-snippets">${renderSnippets(result.snippets)}</div>` : ''}
+      </div>
+    `;
   }
 
   /**
-   * Filter tabs by search term
+   * Export the all-tabs results, copied to the clipboard or downloaded
+   * @param {string} target  'copy' or 'download'
+   * @param {string} format  'markdown', 'csv' or 'json', see exporter.js
    */
-  function filterTabs(filter) {
-    if (!filter || filter.trim().length === 0) {
-      filteredTabs = [...tabResults];
-    } else {
-      const lower = filter.toLowerCase();
-      filteredTabs = tabResults.filter(tab => 
-        tab.title.toLowerCase().includes(lower) ||
-        tab.url.toLowerCase().includes(lower)
-      );
+  async function exportResults(target, format) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const status = overlay.querySelector('.ctrlf-pro-export-status');
+    const label = { markdown: 'Markdown', csv: 'CSV', json: 'JSON' }[format];
+
+    try {
+      // The background copies or saves the file itself, so the results
+      // never pass through the page's clipboard or a page-origin download
+      const response = await chrome.runtime.sendMessage({ action: 'exportResults', format: format, target: target });
+      if (!response?.success) {
+        showExportStatus(status, response?.error || 'Export failed');
+        return;
+      }
+
+      showExportStatus(status, target === 'copy' ? `Copied as ${label}` : `Saved ${response.filename}`);
+    } catch (error) {
+      console.error('Export error:', error);
+      showExportStatus(status, 'Export failed');
     }
-    updateTabList(filteredTabs);
   }
 
   /**
-   * Switch to a specific tab
+   * Show the outcome of an export for a moment
    */
-  async function switchToTab(tabId) {
-    try {
-      await chrome.runtime.sendMessage({
-        action: 'switchTab',
-        tabId: tabId
-      });
-    } catch (error) {
-      console.error('Error switching tab:', error);
-    }
+  function showExportStatus(status, message) {
+    status.textContent = message;
+    clearTimeout(exportStatusTimer);
+    exportStatusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
   }
 
   /**
-   * Navigate to next match
+   * Select or deselect a tab for bulk actions, as its checkbox says
+   * @param {HTMLInputElement} check  The tab's checkbox
    */
-  async function navigateNext() {
-    try {
-      const response = await chrome.runtime.sendMessage({ action: 'navigate', direction: 'next' });
-      if (response?.result?.counts) {
-        updateCounter(response.result.counts);
-      }
-    } catch (error) {
-      console.error('Navigation error:', error);
+  function selectTab(check) {
+    const item = check.closest('.ctrlf-pro-tab-item');
+    const tabId = parseInt(item.dataset.tabId, 10);
+    if (check.checked) {
+      selectedTabs.add(tabId);
+    } else {
+      selectedTabs.delete(tabId);
     }
+    item.setAttribute('aria-selected', String(check.checked));
+    updateBulkBar();
   }
 
   /**
-   * Navigate to previous match
+   * Tick or untick every tab the filter shows
    */
-  async function navigatePrevious() {
-    try {
-      const response = await chrome.runtime.sendMessage({ action: 'navigate', direction: 'previous' });
-      if (response?.result?.counts) {
-        updateCounter(response.result.counts);
+  function selectAllTabs(selected) {
+    filteredTabs.forEach(tab => {
+      if (selected) {
+        selectedTabs.add(tab.tabId);
+      } else {
+        selectedTabs.delete(tab.tabId);
       }
-    } catch (error) {
-      console.error('Navigation error:', error);
-    }
+    });
+    filterTabs(getTabFilter());
   }
 
   /**
-   * Update the result counter display
+   * Show how many tabs are ticked and enable the bulk actions to match
    */
-  function updateCounter(counts) {
-    const overlay = document.getElementById(OVERLAY_ID);
+  function updateBulkBar() {
+    const overlay = getOverlay();
     if (!overlay) return;
 
-    const counter = overlay.querySelector('.ctrlf-pro-counter');
-    counter.textContent = counts.total > 0 ? `${counts.current} of ${counts.total}` : 'No results';
-    counter.classList.toggle('has-results', counts.total > 0);
+    const bar = overlay.querySelector('.ctrlf-pro-bulk');
+    const shown = filteredTabs.filter(tab => selectedTabs.has(tab.tabId)).length;
+    const check = bar.querySelector('.ctrlf-pro-bulk-check');
+    check.checked = filteredTabs.length > 0 && shown === filteredTabs.length;
+    check.indeterminate = shown > 0 && shown < filteredTabs.length;
+    check.disabled = filteredTabs.length === 0;
+
+    bar.querySelector('.ctrlf-pro-bulk-count').textContent = selectedTabs.size > 0 ? `${selectedTabs.size} selected` : 'Select';
+    bar.querySelectorAll('[data-bulk]').forEach(button => {
+      button.disabled = selectedTabs.size === 0;
+    });
+    bar.classList.toggle('visible', tabResults.length > 0 || bar.querySelector('.ctrlf-pro-bulk-status').childNodes.length > 0);
   }
 
   /**
-   * Update settings in background
+   * Close, move, group or bookmark the ticked tabs
+   * @param {string} action  'close', 'window', 'group' or 'bookmark'
    */
-  async function updateSettings() {
+  async function runBulkAction(action) {
+    const tabIds = tabResults.filter(tab => selectedTabs.has(tab.tabId)).map(tab => tab.tabId);
+    if (tabIds.length === 0) return;
+
+    const query = getOverlay()?.querySelector('.ctrlf-pro-input').value.trim() || '';
+    const tabCount = `${tabIds.length} tab${tabIds.length !== 1 ? 's' : ''}`;
+    let message;
+
+    switch (action) {
+      case 'close':
+        message = { action: 'closeTabs', tabIds: tabIds };
+        break;
+      case 'window':
+        message = { action: 'moveTabsToWindow', tabIds: tabIds };
+        break;
+      case 'group':
+      case 'bookmark': {
+        const field = getOverlay()?.querySelector('.ctrlf-pro-bulk-name');
+        if (!field) return;
+        const title = await askName(field, action === 'group' ? `Put ${tabCount} in the tab group` : `Bookmark ${tabCount} into the folder`, query);
+        if (!title) return;
+        message = { action: action === 'group' ? 'groupTabs' : 'bookmarkTabs', tabIds: tabIds, title: title };
+        break;
+      }
+      default:
+        return;
+    }
+
     try {
-      await chrome.runtime.sendMessage({
-        action: 'setOptions',
-        options: options
-      });
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response?.success) {
+        showBulkStatus(response?.error || 'That did not work');
+        return;
+      }
+
+      switch (action) {
+        case 'close':
+          tabResults = tabResults.filter(tab => !response.tabIds.includes(tab.tabId));
+          response.tabIds.forEach(tabId => selectedTabs.delete(tabId));
+          showBulkStatus(`Closed ${response.closed} tab${response.closed !== 1 ? 's' : ''}${response.closed < tabIds.length ? ' (this one stays open)' : ''}`, true);
+          break;
+        case 'window':
+          tabResults = response.tabs;
+          showBulkStatus(`Moved ${tabCount} to a new window`);
+          break;
+        case 'group':
+          tabResults = response.tabs;
+          showBulkStatus(`Grouped ${response.grouped} tab${response.grouped !== 1 ? 's' : ''} as "${message.title}"${response.pinned ? ` (${response.pinned} pinned left out)` : ''}`);
+          break;
+        case 'bookmark':
+          showBulkStatus(`Bookmarked ${tabCount} in "${response.folder}"`);
+          break;
+      }
+      filterTabs(getTabFilter());
+      if (action !== 'bookmark') updateDropdownCount(summarizeResults());
     } catch (error) {
-      console.error('Settings update error:', error);
+      console.error('Bulk action error:', error);
+      showBulkStatus('That did not work');
     }
   }
 
   /**
-   * Show the overlay
+   * Ask for a name in a field inside the overlay; window.prompt() would
+   * be a dialog of the page's own, which the page can see and answer
+   * @param {Element} container  Where to show the field
+   * @param {string} label  What the name is for
+   * @param {string} value  Name to start from
+   * @returns {Promise<string|null>}  The trimmed name, or null if cancelled or left empty
    */
-  function showOverlay() {
-    const overlay = createOverlay();
-    overlay.style.display = 'flex';
-    overlay.classList.add('visible');
-    
-    const input = overlay.querySelector('.ctrlf-pro-input');
-    input.focus();
-    input.select();
+  function askName(container, label, value) {
+    if (cancelNameField) cancelNameField();
+
+    return new Promise(resolve => {
+      const form = document.createElement('form');
+      form.className = 'ctrlf-pro-name-form';
+      form.innerHTML = `
+        <input type="text" class="ctrlf-pro-setting-input" aria-label="${escapeHtml(label)}" placeholder="${escapeHtml(label)}" autocomplete="off" spellcheck="false" />
+        <button type="submit" class="ctrlf-pro-text-btn">OK</button>
+        <button type="button" class="ctrlf-pro-text-btn" data-cancel>Cancel</button>
+      `;
+      const input = form.querySelector('input');
+      input.value = value;
+
+      const finish = (name) => {
+        cancelNameField = null;
+        form.remove();
+        resolve(name && name.trim().length > 0 ? name.trim() : null);
+      };
+      cancelNameField = () => finish(null);
+
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        finish(input.value);
+      });
+      form.querySelector('[data-cancel]').addEventListener('click', () => finish(null));
+
+      // Escape drops the name rather than closing the overlay
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      });
+
+      container.replaceChildren(form);
+      input.focus();
+      input.select();
+    });
   }
 
   /**
-   * Hide the overlay
+   * Reopen the tabs the last "Close" closed
    */
-  function hideOverlay() {
-    const overlay = document.getElementById(OVERLAY_ID);
-    if (overlay) {
-      overlay.style.display = 'none';
+  async function undoCloseTabs() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoCloseTabs' });
+      if (!response?.success) {
+        showBulkStatus(response?.error || 'Could not reopen the tabs');
+        return;
+      }
+
+      tabResults = [...tabResults, ...response.tabs].sort((a, b) => a.order - b.order);
+      showBulkStatus(`Reopened ${response.reopened} tab${response.reopened !== 1 ? 's' : ''}`);
+      filterTabs(getTabFilter());
+      updateDropdownCount(summarizeResults());
+    } catch (error) {
+      console.error('Undo close error:', error);
+      showBulkStatus('Could not reopen the tabs');
+    }
+  }
+
+  /**
+   * Count the results as they stand after bulk actions, for the header
+   */
+  function summarizeResults() {
+    return {
+      tabCount: tabResults.length,
+      total: tabResults.reduce((sum, tab) => sum + tab.counts.total, 0),
+      history: historyResults,
+      skipped: skippedTabs
+    };
+  }
+
+  /**
+   * Show the outcome of a bulk action for a moment, with an "Undo" button
+   * after closing tabs
+   */
+  function showBulkStatus(message, undo = false) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const status = overlay.querySelector('.ctrlf-pro-bulk-status');
+    status.innerHTML = message ? escapeHtml(message) +
+      (undo ? ' <button class="ctrlf-pro-text-btn" data-undo>Undo</button>' : '') : '';
+
+    clearTimeout(bulkStatusTimer);
+    if (message) {
+      bulkStatusTimer = setTimeout(() => showBulkStatus(''), undo ? UNDO_TIMEOUT : 3000);
+    }
+    updateBulkBar();
+  }
+
+  /**
+   * Render tab results under a heading per window or tab group. Headings
+   * are left out while everything is in one window or group.
+   */
+  function renderTabSections(tabs) {
+    const keys = new Set(tabs.map(tab => tab.section?.key));
+    if (keys.size <= 1) {
+      return tabs.map(tab => renderResultItem(tab, `data-tab-id="${tab.tabId}"`, '', true)).join('');
+    }
+
+    const sections = [];
+    tabs.forEach(tab => {
+      const section = tab.section || { key: null, title: '' };
+      const last = sections[sections.length - 1];
+      if (last && last.section.key === section.key) {
+        last.tabs.push(tab);
+      } else {
+        sections.push({ section: section, tabs: [tab] });
+      }
+    });
+
+    return sections.map(({ section, tabs }) => renderSection(
+      section.title,
+      tabs.map(tab => renderResultItem(tab, `data-tab-id="${tab.tabId}"`, '', true)).join(''),
+      section.color
+    )).join('');
+  }
+
+  /**
+   * Render a heading and its results as a group of the results listbox
+   * @param {string} title  Heading text
+   * @param {string} items  Rendered results
+   * @param {string} [color]  Tab group colour for the dot before the heading
+   */
+  function renderSection(title, items, color) {
+    return `
+      <div role="group" aria-label="${escapeHtml(title)}">
+        <div class="ctrlf-pro-section-title" aria-hidden="true">
+          ${color ? `<span class="ctrlf-pro-group-dot" data-color="${escapeHtml(color)}"></span>` : ''}${escapeHtml(title)}
+        </div>
+        ${items}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a tab that was not searched, with the reason as its tooltip
+   */
+  function renderSkippedItem(tab) {
+    return `
+      <div class="ctrlf-pro-tab-item is-skipped" role="option" aria-disabled="true" data-tab-id="${tab.tabId}" title="${escapeHtml(tab.reason)}">
+        <img class="ctrlf-pro-tab-favicon" src="${escapeHtml(tab.favicon || DEFAULT_FAVICON)}" alt="" />
+        <div class="ctrlf-pro-tab-info">
+          <div class="ctrlf-pro-tab-title">${escapeHtml(tab.title || 'Untitled')}</div>
+          <div class="ctrlf-pro-tab-url">${escapeHtml(new URL(tab.url).hostname || tab.url)}</div>
+        </div>
+        <span class="ctrlf-pro-skipped">skipped by policy</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Open a clicked result: switch to its tab, or reopen an indexed page
+   */
+  function openResult(item, matchIndex = 0) {
+    if (item.dataset.url) {
+      openFromHistory(item.dataset.url, matchIndex);
+    } else {
+      switchToTab(parseInt(item.dataset.tabId, 10), matchIndex);
+    }
+  }
+
+  /**
+   * Identify a result across re-renders
+   * @returns {string}  'tab:<id>' or 'url:<url>'
+   */
+  function getResultKey(item) {
+    return item.dataset.url ? `url:${item.dataset.url}` : `tab:${item.dataset.tabId}`;
+  }
+
+  /**
+   * Find the result the arrow keys are on, if it is still listed
+   */
+  function getActiveResultItem() {
+    const overlay = getOverlay();
+    if (!overlay || !activeResult) return null;
+
+    return Array.from(overlay.querySelectorAll('.ctrlf-pro-tab-list .ctrlf-pro-tab-item'))
+      .find(item => getResultKey(item) === activeResult) || null;
+  }
+
+  /**
+   * Move the keyboard cursor of the results listbox to a result
+   * @param {Element|null} item  Result, or null for none
+   * @param {boolean} scroll  Whether to scroll it into view
+   */
+  function setActiveResult(item, scroll = true) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const tabList = overlay.querySelector('.ctrlf-pro-tab-list');
+    tabList.querySelectorAll('.ctrlf-pro-tab-item.is-active').forEach(el => el.classList.remove('is-active'));
+    activeResult = item ? getResultKey(item) : null;
+
+    if (!item) {
+      tabList.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    item.classList.add('is-active');
+    tabList.setAttribute('aria-activedescendant', item.id);
+    if (scroll) item.scrollIntoView({ block: 'nearest' });
+  }
+
+  /**
+   * Listbox keys for the results: arrows, Home and End move, Enter opens
+   * the result, Space selects an open tab for bulk actions
+   */
+  function handleTabListKeydown(e) {
+    const items = Array.from(e.currentTarget.querySelectorAll('.ctrlf-pro-tab-item'));
+    if (items.length === 0) return;
+
+    const current = items.indexOf(getActiveResultItem());
+    let next = null;
+
+    switch (e.key) {
+      case 'ArrowDown':
+        next = items[Math.min(current + 1, items.length - 1)];
+        break;
+      case 'ArrowUp':
+        next = items[Math.max(current - 1, 0)];
+        break;
+      case 'Home':
+        next = items[0];
+        break;
+      case 'End':
+        next = items[items.length - 1];
+        break;
+      case 'Enter':
+        if (current !== -1 && !items[current].classList.contains('is-skipped')) openResult(items[current]);
+        break;
+      case ' ': {
+        const check = current !== -1 && items[current].querySelector('.ctrlf-pro-tab-check');
+        if (check) {
+          check.checked = !check.checked;
+          selectTab(check);
+        }
+        break;
+      }
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    if (next) setActiveResult(next);
+  }
+
+  /**
+   * Update dropdown header count
+   */
+  function updateDropdownCount(results) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const count = overlay.querySelector('.ctrlf-pro-dropdown-count');
+    const timedOut = results.timedOut ? ` · ${results.timedOut} timed out` : '';
+    const closed = results.history?.length ? ` · ${results.history.length} closed` : '';
+    const skipped = results.skipped?.length ? ` · ${results.skipped.length} skipped` : '';
+    count.textContent = `${results.tabCount} tab${results.tabCount !== 1 ? 's' : ''} · ${results.total} total${closed}${skipped}${timedOut}`;
+  }
+
+  /**
+   * Filter tabs by search term
+   */
+  function filterTabs(filter) {
+    if (!filter || filter.trim().length === 0) {
+      filteredTabs = [...tabResults];
+      filteredHistory = [...historyResults];
+      filteredSkipped = [...skippedTabs];
+    } else {
+      const lower = filter.toLowerCase();
+      const matchesFilter = result =>
+        (result.title || '').toLowerCase().includes(lower) ||
+        result.url.toLowerCase().includes(lower);
+      filteredTabs = tabResults.filter(matchesFilter);
+      filteredHistory = historyResults.filter(matchesFilter);
+      filteredSkipped = skippedTabs.filter(matchesFilter);
+    }
+    updateTabList(filteredTabs, filteredHistory, filteredSkipped);
+  }
+
+  /**
+   * Switch to a specific tab, optionally at a specific match
+   */
+  async function switchToTab(tabId, matchIndex = 0) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'switchTab',
+        tabId: tabId,
+        matchIndex: matchIndex
+      });
+    } catch (error) {
+      console.error('Error switching tab:', error);
+    }
+  }
+
+  /**
+   * Reopen an indexed page in a new tab, optionally at a specific match
+   */
+  async function openFromHistory(url, matchIndex = 0) {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'openHistory',
+        url: url,
+        matchIndex: matchIndex
+      });
+    } catch (error) {
+      console.error('Error reopening page:', error);
+    }
+  }
+
+  /**
+   * Navigate to next match
+   */
+  async function navigateNext() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'navigate', direction: 'next' });
+      if (response?.result?.counts) {
+        updateCounter(response.result.counts);
+      }
+    } catch (error) {
+      console.error('Navigation error:', error);
+    }
+  }
+
+  /**
+   * Navigate to previous match
+   */
+  async function navigatePrevious() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'navigate', direction: 'previous' });
+      if (response?.result?.counts) {
+        updateCounter(response.result.counts);
+      }
+    } catch (error) {
+      console.error('Navigation error:', error);
+    }
+  }
+
+  /**
+   * Replace the current match, or all of them, with the replace field's
+   * text. Only form fields and editable text change; content.js leaves
+   * the rest of the page alone and reports how many it skipped.
+   * @param {boolean} all  Replace every match rather than the current one
+   */
+  async function replaceMatches(all) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const replaceInput = overlay.querySelector('.ctrlf-pro-replace-input');
+
+    if (!options.includeFields) {
+      showReplaceStatus('Turn on "Search form fields and editable text" to replace');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'replace',
+        replacement: replaceInput.value,
+        all: all
+      });
+      const result = response?.result;
+      if (!result || !result.success) {
+        showReplaceStatus('Cannot replace on this page');
+        return;
+      }
+
+      updateCounter(result.counts);
+      overlay.querySelector('.ctrlf-pro-btn-undo-replace').disabled = !result.canUndo;
+
+      const readOnly = result.readOnly > 0 ? `${result.readOnly} in read-only text left alone` : '';
+      if (result.error) {
+        showReplaceStatus(`Stopped after ${result.replaced} match${result.replaced !== 1 ? 'es' : ''}: the page refused an edit`);
+      } else if (result.replaced > 0) {
+        showReplaceStatus(`Replaced ${result.replaced} match${result.replaced !== 1 ? 'es' : ''}${readOnly ? ` · ${readOnly}` : ''}`);
+      } else {
+        showReplaceStatus(readOnly ? `Nothing replaced: ${readOnly}` : 'Nothing to replace');
+      }
+    } catch (error) {
+      console.error('Replace error:', error);
+      showReplaceStatus('Cannot replace on this page');
+    }
+
+    // Replacing moves focus into the page; keep typing in the overlay
+    replaceInput.focus();
+  }
+
+  /**
+   * Undo the last Replace or Replace all
+   */
+  async function undoReplace() {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoReplace' });
+      const result = response?.result;
+      if (!result || !result.success) return;
+
+      updateCounter(result.counts);
+      overlay.querySelector('.ctrlf-pro-btn-undo-replace').disabled = !result.canUndo;
+      if (result.error) {
+        showReplaceStatus(`Stopped after restoring ${result.restored}: the page refused an edit`);
+      } else if (result.restored > 0) {
+        showReplaceStatus(`Restored ${result.restored} match${result.restored !== 1 ? 'es' : ''}`);
+      } else {
+        showReplaceStatus('Nothing to undo: the text was edited since');
+      }
+    } catch (error) {
+      console.error('Undo replace error:', error);
+    }
+
+    overlay.querySelector('.ctrlf-pro-replace-input').focus();
+  }
+
+  /**
+   * Copy every match of the current search to the clipboard, one per line.
+   * In regex mode with capture groups the lines form a table, see
+   * Exporter.matchesToText().
+   * @param {string} scope  'page' for this page, 'tabs' for the all-tabs results
+   */
+  async function copyMatches(scope) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const columns = {};
+    overlay.querySelectorAll('.ctrlf-pro-copybar [data-column]').forEach(checkbox => {
+      columns[checkbox.dataset.column] = checkbox.checked;
+    });
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'copyMatches',
+        query: overlay.querySelector('.ctrlf-pro-input').value,
+        options: options,
+        scope: scope,
+        columns: columns
+      });
+      if (!response?.success) {
+        showCopyStatus(response?.error || 'Copy failed');
+        return;
+      }
+
+      const from = scope === 'tabs' ? ` from ${response.pages} tab${response.pages !== 1 ? 's' : ''}` : '';
+      const notes = [];
+      if (response.cached > 0) {
+        notes.push(scope === 'tabs' ? `${response.cached} from saved text that may be out of date` : 'from saved text that may be out of date');
+      }
+      if (response.leftOut > 0) notes.push(`${response.leftOut} tab${response.leftOut !== 1 ? 's' : ''} left out`);
+      if (response.truncated) notes.push('list cut short');
+      showCopyStatus(`Copied ${response.count} match${response.count !== 1 ? 'es' : ''}${from}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+    } catch (error) {
+      console.error('Copy matches error:', error);
+      showCopyStatus('Copy failed');
+    }
+  }
+
+  /**
+   * Show the outcome of a copy for a moment
+   */
+  function showCopyStatus(message) {
+    const status = getOverlay()?.querySelector('.ctrlf-pro-copy-status');
+    if (!status) return;
+
+    status.textContent = message;
+    clearTimeout(copyStatusTimer);
+    copyStatusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, 3000);
+  }
+
+  /**
+   * Show the outcome of a replace for a moment
+   */
+  function showReplaceStatus(message) {
+    const status = getOverlay()?.querySelector('.ctrlf-pro-replace-status');
+    if (!status) return;
+
+    status.textContent = message;
+    clearTimeout(replaceStatusTimer);
+    replaceStatusTimer = setTimeout(() => {
+      status.textContent = '';
+    }, 4000);
+  }
+
+  /**
+   * Update the result counter display
+   */
+  function updateCounter(counts) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    // A regex this page cannot run safely, see matchBlocks() in content.js
+    if (counts.error) {
+      showCounterError(counts.error, 'This page blocks the worker regex mode needs; switch regex off to search it');
+      updateTermCounts(null);
+      return;
+    }
+
+    const counter = overlay.querySelector('.ctrlf-pro-counter');
+    const more = counts.truncated ? '+' : '';
+    if (counts.scanning) {
+      counter.textContent = counts.total > 0 ? `${counts.current} of ${counts.total}\u2026` : 'Searching\u2026';
+    } else {
+      counter.textContent = counts.total > 0 ? `${counts.current} of ${counts.total}${more}` : 'No results';
+    }
+    counter.classList.remove('has-error');
+    counter.classList.toggle('has-results', counts.total > 0);
+
+    // Read out where the search landed once the scan settles, not every
+    // partial count on the way
+    if (!counts.scanning) {
+      announce(counts.total > 0 ? `Match ${counts.current} of ${counts.total}${counts.truncated ? ' or more' : ''}` : 'No results');
+    }
+
+    if (counts.scanning) {
+      counter.title = 'Still searching this page';
+    } else if (counts.truncated) {
+      counter.title = 'Search stopped early: the pattern is too slow or has too many matches';
+    } else {
+      counter.removeAttribute('title');
+    }
+
+    updateTermCounts(counts.terms);
+  }
+
+  /**
+   * Read a message out to screen readers through the live region
+   */
+  function announce(message) {
+    const live = getOverlay()?.querySelector('.ctrlf-pro-live');
+    if (!live || message === lastAnnouncement) return;
+
+    lastAnnouncement = message;
+    live.textContent = message;
+  }
+
+  /**
+   * Render one coloured chip per term with its match count
+   */
+  function renderTermChips(terms) {
+    return terms.map((t, i) => `
+      <span class="ctrlf-pro-term-chip ctrlf-pro-term-${i % TERM_COLOR_COUNT}${t.total === 0 ? ' is-empty' : ''}">
+        ${escapeHtml(t.term)} <b>${t.total}</b>
+      </span>
+    `).join('');
+  }
+
+  /**
+   * Render match snippets with the matched text emphasised
+   */
+  function renderSnippets(snippets) {
+    return snippets.map(snippet => `
+      <div class="ctrlf-pro-snippet" data-match-index="${snippet.index}" title="Go to this match">${escapeHtml(snippet.before)}<mark class="ctrlf-pro-term-${(snippet.term || 0) % TERM_COLOR_COUNT}">${escapeHtml(snippet.match)}</mark>${escapeHtml(snippet.after)}</div>
+    `).join('');
+  }
+
+  /**
+   * Render which top level clauses of a boolean query a tab satisfied
+   */
+  function renderClauses(clauses) {
+    return clauses.map(c => `
+      <span class="ctrlf-pro-clause${c.satisfied ? ' is-met' : ''}">
+        ${c.satisfied ? '&#10003;' : '&#10007;'} ${escapeHtml(c.text)}
+      </span>
+    `).join('');
+  }
+
+  /**
+   * Update the per-term count row below the search bar
+   */
+  function updateTermCounts(terms) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const row = overlay.querySelector('.ctrlf-pro-terms');
+    row.innerHTML = terms ? renderTermChips(terms) : '';
+    row.classList.toggle('visible', Boolean(terms));
+  }
+
+  /**
+   * Show a pattern error in place of the result counter
+   * @param {string} message  Short text for the counter
+   * @param {string} [detail]  Tooltip and announcement, by default the
+   *                           message as an invalid pattern
+   */
+  function showCounterError(message, detail = `Invalid pattern: ${message}`) {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const counter = overlay.querySelector('.ctrlf-pro-counter');
+    counter.textContent = message;
+    counter.title = detail;
+    counter.classList.remove('has-results');
+    counter.classList.add('has-error');
+    announce(detail);
+  }
+
+  /**
+   * Reflect the remembered search scope in the dropdown header
+   */
+  async function loadScope() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getScope' });
+      const overlay = getOverlay();
+      if (response?.scope && overlay) {
+        overlay.querySelector('.ctrlf-pro-scope').value = response.scope;
+      }
+    } catch (error) {
+      console.error('Scope load error:', error);
+    }
+  }
+
+  /**
+   * Fetch the recent and saved searches
+   */
+  async function loadSearches() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSearches' });
+      if (response?.success) {
+        searches = { history: response.history, saved: response.saved };
+      }
+    } catch (error) {
+      console.error('Search history error:', error);
+    }
+  }
+
+  /**
+   * Add a query and the current options to the search history.
+   * Empty and invalid queries are not worth remembering, and pressing
+   * Enter again on the latest one would only rewrite storage.
+   */
+  async function recordSearch(query) {
+    if (!query || query.trim().length === 0 || validateQuery(query)) return;
+    if (searches.history.length > 0 && isCurrentSearch(searches.history[0], query)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'addHistory',
+        query: query,
+        options: options
+      });
+      if (response?.history) searches.history = response.history;
+    } catch (error) {
+      console.error('Search history error:', error);
+    }
+  }
+
+  /**
+   * Check whether a stored search runs the given query with the current
+   * options, i.e. picking it would change nothing
+   */
+  function isCurrentSearch(search, query) {
+    return search.query === query && Settings.sameOptions(search.options, options);
+  }
+
+  /**
+   * Show the saved and recent searches matching the input.
+   * Saved searches come first; with an empty input, the list only opens
+   * when asked for (arrow key), not on every focus.
+   */
+  function showSuggestions(query, force = false) {
+    const text = query.trim().toLowerCase();
+    if (!text && !force) {
+      hideSuggestions();
+      return;
+    }
+
+    const matches = (search) => search.query.toLowerCase().includes(text) ||
+      (search.name && search.name.toLowerCase().includes(text));
+
+    const saved = searches.saved
+      .filter(matches)
+      .map(search => ({ ...search, saved: true }));
+    const recent = searches.history
+      .filter(search => matches(search) && !isCurrentSearch(search, query))
+      .filter(search => !saved.some(s => s.query === search.query))
+      .slice(0, MAX_SUGGESTIONS);
+
+    suggestions = [...saved, ...recent];
+    suggestionIndex = -1;
+    renderSuggestions();
+  }
+
+  /**
+   * Close the suggestion list
+   */
+  function hideSuggestions() {
+    suggestions = [];
+    suggestionIndex = -1;
+    renderSuggestions();
+  }
+
+  /**
+   * Move the selection through the suggestions, wrapping at both ends
+   */
+  function moveSuggestion(step) {
+    const count = suggestions.length;
+    suggestionIndex = suggestionIndex === -1 && step < 0
+      ? count - 1
+      : (suggestionIndex + step + count) % count;
+    renderSuggestions();
+  }
+
+  /**
+   * Render the suggestion list
+   */
+  function renderSuggestions() {
+    const overlay = getOverlay();
+    if (!overlay) return;
+
+    const list = overlay.querySelector('.ctrlf-pro-suggestions');
+    list.innerHTML = suggestions.map((search, i) => {
+      const tags = OPTION_TAGS
+        .filter(tag => search.options[tag.key])
+        .map(tag => `<span class="ctrlf-pro-option-tag" title="${tag.title}">${escapeHtml(tag.label)}</span>`)
+        .join('');
+      const label = search.saved
+        ? `<span class="ctrlf-pro-suggestion-name">${escapeHtml(search.name)}</span><span class="ctrlf-pro-suggestion-query">${escapeHtml(search.query)}</span>`
+        : `<span class="ctrlf-pro-suggestion-query">${escapeHtml(search.query)}</span>`;
+      const button = search.saved
+        ? `<button class="ctrlf-pro-btn" data-action="delete" title="Remove saved search" tabindex="-1">${Icons.close}</button>`
+        : `<button class="ctrlf-pro-btn" data-action="save" title="Save this search" tabindex="-1">${Icons.star}</button>`;
+
+      return `
+        <div class="ctrlf-pro-suggestion${search.saved ? ' is-saved' : ''}${i === suggestionIndex ? ' selected' : ''}" id="ctrlf-pro-suggestion-${i}" role="option" aria-selected="${i === suggestionIndex}" data-suggestion-index="${i}">
+          ${search.saved ? `<span class="ctrlf-pro-suggestion-icon">${Icons.star}</span>` : ''}
+          ${label}
+          ${tags}
+          ${button}
+        </div>
+      `;
+    }).join('');
+
+    list.classList.toggle('visible', suggestions.length > 0);
+    list.querySelector('.selected')?.scrollIntoView({ block: 'nearest' });
+
+    const input = overlay.querySelector('.ctrlf-pro-input');
+    input.setAttribute('aria-expanded', String(suggestions.length > 0));
+    if (suggestionIndex !== -1) {
+      input.setAttribute('aria-activedescendant', `ctrlf-pro-suggestion-${suggestionIndex}`);
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * Fill in a suggestion's query and options and run it
+   */
+  function applySuggestion(search) {
+    const overlay = getOverlay();
+    if (!overlay || !search) return;
+
+    const input = overlay.querySelector('.ctrlf-pro-input');
+    options = { ...options, ...search.options };
+    syncSettingsUI(overlay);
+    updateSettings();
+
+    input.value = search.query;
+    hideSuggestions();
+    clearTimeout(searchTimeout);
+    recordSearch(search.query);
+    performSearch(search.query);
+    if (isExpanded) searchAllTabs(search.query);
+  }
+
+  /**
+   * Pin a search under a name of the user's choosing
+   */
+  async function pinSearch(search) {
+    const field = getOverlay()?.querySelector('.ctrlf-pro-save-name');
+    if (!field) return;
+
+    const name = await askName(field, 'Name this saved search', search.query);
+    if (name) {
+      try {
+        const response = await chrome.runtime.sendMessage({
+          action: 'saveSearch',
+          name: name,
+          query: search.query,
+          options: search.options
+        });
+        if (response?.saved) searches.saved = response.saved;
+      } catch (error) {
+        console.error('Saved search error:', error);
+      }
+    }
+
+    // The name field took focus and closed the list; bring both back,
+    // unless the overlay was closed or another name field replaced this one
+    const overlay = getOverlay();
+    if (!overlay?.classList.contains('visible') || cancelNameField) return;
+    const input = overlay.querySelector('.ctrlf-pro-input');
+    input.focus();
+    showSuggestions(input.value, true);
+  }
+
+  /**
+   * Remove a saved search
+   */
+  async function unpinSearch(search) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'deleteSavedSearch', name: search.name });
+      if (response?.saved) searches.saved = response.saved;
+    } catch (error) {
+      console.error('Saved search error:', error);
+    }
+
+    const input = getOverlay()?.querySelector('.ctrlf-pro-input');
+    if (input) showSuggestions(input.value, true);
+  }
+
+  /**
+   * Update settings in background
+   */
+  async function updateSettings() {
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'setOptions',
+        options: options
+      });
+    } catch (error) {
+      console.error('Settings update error:', error);
+    }
+  }
+
+  /**
+   * Take on new settings from the options page. Changed default options
+   * replace the current ones, like a fresh start would.
+   */
+  function applySettings(settings) {
+    searchDelay = settings.searchDelay;
+
+    if (!Settings.sameOptions(defaultOptions, settings.searchOptions)) {
+      options = { ...settings.searchOptions };
+      const overlay = getOverlay();
+      if (overlay) syncSettingsUI(overlay);
+    }
+    defaultOptions = settings.searchOptions;
+  }
+
+  /**
+   * Show the overlay
+   */
+  function showOverlay() {
+    const overlay = createOverlay();
+    // Focus inside the shadow root shows as the host
+    if (document.activeElement !== overlayHost) previousFocus = document.activeElement;
+    overlay.style.display = 'flex';
+    overlay.classList.add('visible');
+    
+    const input = overlay.querySelector('.ctrlf-pro-input');
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Show the overlay with a search that already ran in this tab, e.g.
+   * after jumping here from another tab's results
+   */
+  function showWithSearch(query, searchOptions, counts) {
+    const overlay = createOverlay();
+    const input = overlay.querySelector('.ctrlf-pro-input');
+
+    options = { ...options, ...searchOptions };
+    syncSettingsUI(overlay);
+
+    input.value = query;
+    showOverlay();
+
+    if (counts) updateCounter(counts);
+  }
+
+  /**
+   * Reflect the current options in the settings toggles
+   */
+  function syncSettingsUI(overlay) {
+    overlay.querySelector('#ctrlf-setting-case').checked = options.caseSensitive;
+    overlay.querySelector('#ctrlf-setting-whole').checked = options.wholeWord;
+    overlay.querySelector('#ctrlf-setting-regex').checked = options.regex;
+    overlay.querySelector('#ctrlf-setting-multi').checked = options.multiTerm;
+    overlay.querySelector('#ctrlf-setting-fields').checked = options.includeFields;
+    overlay.querySelector('.ctrlf-pro-input').placeholder = options.multiTerm
+      ? 'Search terms, comma separated...'
+      : 'Search in page...';
+  }
+
+  /**
+   * Hide the overlay
+   */
+  function hideOverlay() {
+    const overlay = getOverlay();
+    if (overlay) {
+      recordSearch(overlay.querySelector('.ctrlf-pro-input').value);
+      hideSuggestions();
+      overlay.style.display = 'none';
       overlay.classList.remove('visible');
       
-      // Clear highlights
+      // Clear highlights and drop any all-tabs search still running
       chrome.runtime.sendMessage({ action: 'clear' });
+      searchGeneration++;
+      searchProgress = null;
+      chrome.runtime.sendMessage({ action: 'cancelSearchAll' });
       
       // Reset state
+      if (cancelNameField) cancelNameField();
       isExpanded = false;
       settingsExpanded = false;
+      replaceExpanded = false;
+      copyExpanded = false;
       overlay.querySelector('.ctrlf-pro-dropdown').classList.remove('expanded');
+      overlay.querySelector('.ctrlf-pro-replacebar').classList.remove('visible');
+      overlay.querySelector('.ctrlf-pro-btn-replace-toggle').classList.remove('active');
+      overlay.querySelector('.ctrlf-pro-copybar').classList.remove('visible');
+      overlay.querySelector('.ctrlf-pro-btn-copy-toggle').classList.remove('active');
       overlay.querySelector('.ctrlf-pro-settings').classList.remove('expanded');
+      overlay.querySelectorAll('[aria-expanded]').forEach(el => el.setAttribute('aria-expanded', 'false'));
+      activeResult = null;
+      lastAnnouncement = '';
+      overlay.querySelector('.ctrlf-pro-live').textContent = '';
+
+      restoreFocus();
+    }
+  }
+
+  /**
+   * Give focus back to where it was before the overlay opened, or to the
+   * page if that element is gone
+   */
+  function restoreFocus() {
+    const target = previousFocus;
+    previousFocus = null;
+
+    if (target && target !== document.body && target.isConnected && typeof target.focus === 'function') {
+      target.focus({ preventScroll: true });
     }
+    if (overlayRoot.activeElement) overlayRoot.activeElement.blur();
   }
 
   /**
    * Toggle overlay visibility
    */
   function toggleOverlay() {
-    const overlay = document.getElementById(OVERLAY_ID);
+    const overlay = getOverlay();
     if (overlay && overlay.style.display === 'flex') {
       hideOverlay();
     } else {
@@ -433,25 +1918,44 @@
   }
 
   /**
-   * Escape HTML special characters
+   * Escape HTML special characters, quotes included so the result is safe
+   * inside attribute values too
    */
   function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 
   // Listen for toggle message from background
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'toggleOverlay') {
       toggleOverlay();
-      sendResponse({ success: true, visible: document.getElementById(OVERLAY_ID)?.style.display === 'flex' });
+      sendResponse({ success: true, visible: getOverlay()?.style.display === 'flex' });
+    } else if (message.action === 'showOverlay') {
+      showWithSearch(message.query, message.options, message.counts);
+      sendResponse({ success: true, visible: true });
+    } else if (message.action === 'tabResult') {
+      handleTabResult(message);
+      sendResponse({ success: true });
     }
     return true;
   });
 
+  // Content script found matches in content added after the search ran
+  MatchCounts.subscribe((counts) => {
+    const overlay = getOverlay();
+    if (overlay && overlay.style.display === 'flex') {
+      updateCounter(counts);
+    }
+  });
+
   // Initialize overlay on load
   createOverlay();
+  Settings.load().then(applySettings).catch(() => {
+    // Keep the defaults if storage is unavailable
+  });
+  Settings.onChange(applySettings);
   
   console.log('CTRL+F Pro UI overlay loaded');
 })();
@@ -0,0 +1,395 @@
+/**
+ * CTRL+F Pro Page Index
+ * An opt-in, local full-text index of visited pages, so "Search all tabs"
+ * can still find a page after its tab is closed.
+ *
+ * Storage:
+ *   One IndexedDB record per URL, inside the extension, holding the page's
+ *   visible text as one line per block (see extractPageText() in
+ *   content.js). Visiting a page again replaces its record.
+ *
+ * Limits:
+ *   A page keeps at most MAX_PAGE_CHARS of text. Once the index holds more
+ *   than MAX_PAGES pages or MAX_TOTAL_CHARS of text, the least recently
+ *   indexed pages are evicted first. Each record's size is part of the
+ *   'recency' index key, so eviction reads only the index, never the texts.
+ *
+ * Searching:
+ *   Lines are scanned with SearchEngine exactly like blocks on a live page,
+ *   so counts, and the match index of each snippet, line up with what the
+ *   page shows once it is reopened.
+ *
+ * Tab snapshots:
+ *   A second store keeps the text of pages that are open in a tab, so a
+ *   tab that was discarded, or not loaded yet after a restart, can still be
+ *   searched. It is filled and cleared along with the index, but holds no
+ *   history: a snapshot is deleted once no open tab shows its URL.
+ */
+
+const PageIndex = {
+
+  DB_NAME: 'ctrlf-pro-index',
+  DB_VERSION: 3,
+  STORE: 'pages',
+  SNAPSHOT_STORE: 'snapshots',
+
+  MAX_PAGE_CHARS: 500000,
+  MAX_TOTAL_CHARS: 50000000,
+  MAX_PAGES: 2000,
+
+  // Pages shown in the "Recently closed / history" section per search
+  MAX_RESULTS: 20,
+
+  // Time (ms) one search may spend reading and scanning pages
+  SEARCH_TIME_BUDGET: 1500,
+
+  // Characters of context on either side of a snippet
+  SNIPPET_CONTEXT: 40,
+
+  // Promise of the open database, shared by every caller
+  connection: null,
+
+  /**
+   * Open the database, creating the store on first use.
+   *
+   * @returns {Promise<IDBDatabase>}  Open database
+   */
+  open() {
+    if (this.connection) return this.connection;
+
+    this.connection = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        if (event.oldVersion < 1) {
+          const store = db.createObjectStore(this.STORE, { keyPath: 'url' });
+          store.createIndex('indexedAt', 'indexedAt');
+        }
+        if (event.oldVersion < 2) {
+          db.createObjectStore(this.SNAPSHOT_STORE, { keyPath: 'url' });
+        }
+        if (event.oldVersion < 3) {
+          request.transaction.objectStore(this.STORE).createIndex('recency', ['indexedAt', 'size']);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.connection = null;
+        reject(request.error);
+      };
+    });
+
+    return this.connection;
+  },
+
+  /**
+   * Wait for an IndexedDB request.
+   *
+   * @param {IDBRequest} request  Pending request
+   * @returns {Promise}  Its result
+   */
+  request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Check whether a URL belongs to an excluded domain. A domain also
+   * excludes its subdomains, so "example.com" covers "mail.example.com".
+   *
+   * @param {string} url  Page URL
+   * @param {string[]} excludedDomains  Domains never to index
+   * @returns {boolean}  True if the page must not be indexed
+   */
+  isExcluded(url, excludedDomains) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return true;
+    }
+
+    return excludedDomains.some(domain => {
+      const d = domain.trim().toLowerCase().replace(/^\*?\./, '');
+      return d.length > 0 && (hostname === d || hostname.endsWith('.' + d));
+    });
+  },
+
+  /**
+   * Add or replace a page, then evict old pages if the index is too big.
+   *
+   * @param {Object} page  { url, title, favicon, text }
+   * @returns {Promise<void>}
+   */
+  async put(page) {
+    const text = page.text.slice(0, this.MAX_PAGE_CHARS);
+    const db = await this.open();
+    const store = db.transaction(this.STORE, 'readwrite').objectStore(this.STORE);
+
+    await this.request(store.put({
+      url: page.url,
+      title: page.title || '',
+      favicon: page.favicon || '',
+      text: text,
+      size: text.length,
+      indexedAt: Date.now()
+    }));
+
+    await this.evict();
+  },
+
+  /**
+   * Delete the least recently indexed pages until the index fits its
+   * limits again. Only the 'recency' index is walked, with a key cursor,
+   * so no page text is loaded.
+   *
+   * @returns {Promise<void>}
+   */
+  async evict() {
+    const db = await this.open();
+    const store = db.transaction(this.STORE, 'readwrite').objectStore(this.STORE);
+    const cursorRequest = store.index('recency').openKeyCursor(null, 'prev');
+
+    let pages = 0;
+    let total = 0;
+
+    // Walk from the newest page; once the limits are used up, everything
+    // older goes
+    await new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) {
+          resolve();
+          return;
+        }
+
+        // The key is [indexedAt, size]
+        pages++;
+        total += cursor.key[1];
+        if (pages > this.MAX_PAGES || total > this.MAX_TOTAL_CHARS) {
+          store.delete(cursor.primaryKey);
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+  },
+
+  /**
+   * Remove one page.
+   *
+   * @param {string} url  Page URL
+   * @returns {Promise<void>}
+   */
+  async remove(url) {
+    const db = await this.open();
+    await this.request(db.transaction(this.STORE, 'readwrite').objectStore(this.STORE).delete(url));
+  },
+
+  /**
+   * Remove every page, and every tab snapshot with them.
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction([this.STORE, this.SNAPSHOT_STORE], 'readwrite');
+    await Promise.all([
+      this.request(transaction.objectStore(this.STORE).clear()),
+      this.request(transaction.objectStore(this.SNAPSHOT_STORE).clear())
+    ]);
+  },
+
+  /**
+   * Search the indexed pages, newest first.
+   * The search stops once it has MAX_RESULTS pages, has spent
+   * SEARCH_TIME_BUDGET, or isCancelled returns true, so older pages may go
+   * unsearched.
+   *
+   * @param {string|string[]} query  Query, or term list for a boolean query
+   * @param {Object} options  Search options
+   * @param {Object} searchOptions  { skipUrls, maxSnippets, snippetTerms, accept, isCancelled }
+   *        skipUrls: Set of URLs to leave out (pages open in a tab);
+   *        snippetTerms: term indices that may produce a snippet (default all);
+   *        accept: gets each matching page and returns it, possibly changed,
+   *        or null to leave it out (default keeps every page);
+   *        isCancelled: checked before each page; stops the search when it returns true
+   * @returns {Promise<Object[]>}  Array of { url, title, favicon, indexedAt, counts, snippets }
+   */
+  async search(query, options, searchOptions = {}) {
+    const {
+      skipUrls = new Set(),
+      maxSnippets = 0,
+      snippetTerms,
+      accept = page => page,
+      isCancelled = () => false
+    } = searchOptions;
+    const state = SearchEngine.prepare(query, options);
+    if (!state) return [];
+
+    const started = Date.now();
+
+    const db = await this.open();
+    const store = db.transaction(this.STORE, 'readonly').objectStore(this.STORE);
+    const cursorRequest = store.index('indexedAt').openCursor(null, 'prev');
+    const results = [];
+
+    await new Promise((resolve, reject) => {
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor || results.length >= this.MAX_RESULTS || isCancelled() ||
+            Date.now() - started > this.SEARCH_TIME_BUDGET) {
+          resolve();
+          return;
+        }
+
+        const page = cursor.value;
+        if (!skipUrls.has(page.url)) {
+          const found = this.searchText(page.text, state, maxSnippets, snippetTerms);
+          const result = found.counts.total > 0 && accept({
+            url: page.url,
+            title: page.title,
+            favicon: page.favicon,
+            indexedAt: page.indexedAt,
+            counts: found.counts,
+            snippets: found.snippets
+          });
+          if (result) results.push(result);
+        }
+        cursor.continue();
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    });
+
+    return results;
+  },
+
+  /**
+   * Store the text of a page open in a tab, replacing any older snapshot.
+   *
+   * @param {Object} page  { url, title, text }
+   * @returns {Promise<void>}
+   */
+  async putSnapshot(page) {
+    const text = page.text.slice(0, this.MAX_PAGE_CHARS);
+    const db = await this.open();
+
+    await this.request(db.transaction(this.SNAPSHOT_STORE, 'readwrite').objectStore(this.SNAPSHOT_STORE).put({
+      url: page.url,
+      title: page.title || '',
+      text: text,
+      takenAt: Date.now()
+    }));
+  },
+
+  /**
+   * Get the snapshot of a page.
+   *
+   * @param {string} url  Page URL
+   * @returns {Promise<Object|undefined>}  { url, title, text, takenAt }, if there is one
+   */
+  async getSnapshot(url) {
+    const db = await this.open();
+    return this.request(db.transaction(this.SNAPSHOT_STORE, 'readonly').objectStore(this.SNAPSHOT_STORE).get(url));
+  },
+
+  /**
+   * Delete the snapshots of pages no tab shows any more.
+   *
+   * @param {Set<string>} openUrls  URLs of all open tabs
+   * @returns {Promise<void>}
+   */
+  async pruneSnapshots(openUrls) {
+    const db = await this.open();
+    const store = db.transaction(this.SNAPSHOT_STORE, 'readwrite').objectStore(this.SNAPSHOT_STORE);
+    const urls = await this.request(store.getAllKeys());
+
+    await Promise.all(urls
+      .filter(url => !openUrls.has(url))
+      .map(url => this.request(store.delete(url))));
+  },
+
+  /**
+   * Count the matches in one page's text and cut snippets for the first
+   * few. Counts have the same shape as a tab's, see countMatchesOnly() in
+   * content.js.
+   *
+   * @param {string} text  Indexed page text
+   * @param {Object} state  Prepared search state
+   * @param {number} maxSnippets  Snippets to collect
+   * @param {number[]} snippetTerms  Term indices that may produce a snippet
+   * @param {Object[][]} [found]  Matches per line, when already scanned
+   *        elsewhere (a regex in the search worker); scanned here otherwise
+   * @returns {Object}  { counts: { total, truncated, terms, present }, snippets }
+   */
+  searchText(text, state, maxSnippets, snippetTerms, found = null) {
+    const termTotals = state.terms ? state.terms.map(term => ({ term, total: 0 })) : null;
+    const present = state.terms ? state.terms.map(() => false) : [false];
+    const snippets = [];
+    let total = 0;
+    // Only matches of snippet terms get highlighted, see countMatchesOnly()
+    let highlightIndex = 0;
+
+    text.split('\n').forEach((line, i) => {
+      const matches = found ? found[i] : SearchEngine.scan(line, state);
+      // Presence counts overlapping matches too, see notePresence() in content.js
+      matches.forEach(m => { present[m.term || 0] = true; });
+
+      SearchEngine.dropOverlaps(matches).forEach(m => {
+        total++;
+        if (termTotals) termTotals[m.term].total++;
+
+        if (snippetTerms && !snippetTerms.includes(m.term || 0)) return;
+        if (snippets.length < maxSnippets) {
+          snippets.push(TextModel.makeSnippet(line, m, highlightIndex, this.SNIPPET_CONTEXT));
+        }
+        highlightIndex++;
+      });
+    });
+
+    return {
+      counts: {
+        total: total,
+        truncated: Boolean(state.truncated),
+        terms: termTotals || undefined,
+        present: present
+      },
+      snippets: snippets
+    };
+  },
+
+  /**
+   * Describe every match in one page's text for copying, see
+   * collectMatches() in content.js.
+   *
+   * @param {string} text  Indexed page text
+   * @param {Object} state  Prepared search state
+   * @param {number} context  Characters of context each side, 0 for none
+   * @param {number} max  Matches to collect at most
+   * @param {Object[][]} [found]  Matches per line, see searchText()
+   * @returns {Object}  { matches, truncated }
+   */
+  collectMatches(text, state, context, max, found = null) {
+    const matches = [];
+    let full = false;
+
+    text.split('\n').some((line, i) => {
+      SearchEngine.dropOverlaps(found ? found[i] : SearchEngine.scan(line, state)).some(m => {
+        full = matches.length >= max;
+        if (!full) matches.push(TextModel.describeMatch(line, m, state, context));
+        return full;
+      });
+      return full;
+    });
+
+    return { matches: matches, truncated: full || Boolean(state.truncated) };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageIndex;
+}
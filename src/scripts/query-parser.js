@@ -0,0 +1,251 @@
+/**
+ * CTRL+F Pro Query Parser
+ * Parses boolean queries for "Search all tabs", e.g.
+ *
+ *   invoice AND overdue NOT paid
+ *   (invoice OR receipt) AND NOT "paid in full"
+ *
+ * Syntax:
+ *   - Operators are the uppercase words AND, OR and NOT. A query without
+ *     any of them is not boolean and is searched as plain text.
+ *   - The words between two operators form one phrase, so
+ *     "payment due AND overdue" has the terms "payment due" and "overdue".
+ *   - Double quotes make a phrase literal, including operator words.
+ *   - Parentheses group. NOT binds tightest, then AND, then OR.
+ *   - A NOT directly after an operand means AND NOT: "a NOT b".
+ *
+ * Each tab is judged on page level presence: a term is true when it occurs
+ * at least once in the tab. A term used twice in the query is only
+ * scanned once.
+ */
+
+const QueryParser = {
+
+  OPERATORS: ['AND', 'OR', 'NOT'],
+
+  /**
+   * Split a query into operator, parenthesis and word tokens.
+   *
+   * @param {string} query  Raw query
+   * @returns {Object[]}  Array of { type, value } tokens
+   */
+  tokenize(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+      const ch = query[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+      } else if (ch === '(' || ch === ')') {
+        tokens.push({ type: ch, value: ch });
+        i++;
+      } else if (ch === '"') {
+        const end = query.indexOf('"', i + 1);
+        const stop = end === -1 ? query.length : end;
+        tokens.push({ type: 'word', value: query.slice(i + 1, stop), quoted: true });
+        i = stop + 1;
+      } else {
+        let j = i;
+        while (j < query.length && !/[\s()"]/.test(query[j])) j++;
+        const word = query.slice(i, j);
+        tokens.push(this.OPERATORS.includes(word)
+          ? { type: word, value: word }
+          : { type: 'word', value: word });
+        i = j;
+      }
+    }
+
+    return tokens;
+  },
+
+  /**
+   * Check whether a query uses the boolean syntax at all.
+   *
+   * @param {string} query  Raw query
+   * @returns {boolean}  True if the query contains an operator token
+   */
+  isBoolean(query) {
+    if (!query || typeof query !== 'string') return false;
+    return this.tokenize(query).some(token => this.OPERATORS.includes(token.type));
+  },
+
+  /**
+   * Parse a boolean query.
+   *
+   * @param {string} query  Raw query
+   * @returns {Object}  { ast, terms } on success, { error } on a syntax error
+   */
+  parse(query) {
+    const tokens = this.tokenize(query);
+    const terms = [];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+
+    const fail = (message) => {
+      throw new SyntaxError(message);
+    };
+
+    const parseOr = () => {
+      const operands = [parseAnd()];
+      while (peek() && peek().type === 'OR') {
+        pos++;
+        operands.push(parseAnd());
+      }
+      return operands.length === 1 ? operands[0] : { type: 'or', operands };
+    };
+
+    const parseAnd = () => {
+      const operands = [parseUnary()];
+      while (peek() && (peek().type === 'AND' || peek().type === 'NOT')) {
+        if (peek().type === 'AND') pos++;
+        operands.push(parseUnary());
+      }
+      return operands.length === 1 ? operands[0] : { type: 'and', operands };
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (!token) fail('Query ends after an operator');
+
+      if (token.type === 'NOT') {
+        pos++;
+        return { type: 'not', operand: parseUnary() };
+      }
+
+      if (token.type === '(') {
+        pos++;
+        const inner = parseOr();
+        if (!peek() || peek().type !== ')') fail('Missing closing parenthesis');
+        pos++;
+        return inner;
+      }
+
+      if (token.type === 'word') {
+        // Consecutive words form one phrase
+        const words = [];
+        while (peek() && peek().type === 'word') {
+          words.push(tokens[pos++].value);
+        }
+        return makeTerm(words.join(' '));
+      }
+
+      return fail(`Unexpected ${token.value}`);
+    };
+
+    const makeTerm = (value) => {
+      const term = value.trim();
+      if (term.length === 0) fail('Empty phrase');
+
+      let index = terms.indexOf(term);
+      if (index === -1) {
+        index = terms.length;
+        terms.push(term);
+      }
+      return { type: 'term', value: term, index };
+    };
+
+    try {
+      const ast = parseOr();
+      if (pos < tokens.length) fail(`Unexpected ${tokens[pos].value}`);
+      return { ast, terms };
+    } catch (error) {
+      return { error: error.message };
+    }
+  },
+
+  /**
+   * Collect the terms that must be present for the query to hold, i.e.
+   * those not under an odd number of NOTs. These are the ones worth
+   * highlighting.
+   *
+   * @param {Object} ast  Parsed query
+   * @returns {number[]}  Indices into the parsed term list
+   */
+  positiveTerms(ast) {
+    const found = new Set();
+
+    const walk = (node, negated) => {
+      if (node.type === 'term') {
+        if (!negated) found.add(node.index);
+      } else if (node.type === 'not') {
+        walk(node.operand, !negated);
+      } else {
+        node.operands.forEach(child => walk(child, negated));
+      }
+    };
+
+    walk(ast, false);
+    return Array.from(found).sort((a, b) => a - b);
+  },
+
+  /**
+   * Evaluate a parsed query against the terms present in a page.
+   *
+   * @param {Object} ast  Parsed query
+   * @param {boolean[]} present  present[i] is true if term i occurs
+   * @returns {boolean}  True if the page satisfies the query
+   */
+  evaluate(ast, present) {
+    switch (ast.type) {
+      case 'term':
+        return Boolean(present[ast.index]);
+      case 'not':
+        return !this.evaluate(ast.operand, present);
+      case 'and':
+        return ast.operands.every(child => this.evaluate(child, present));
+      case 'or':
+        return ast.operands.some(child => this.evaluate(child, present));
+      default:
+        return false;
+    }
+  },
+
+  /**
+   * Turn a node back into query text, for display.
+   *
+   * @param {Object} node  AST node
+   * @returns {string}  Query text
+   */
+  stringify(node) {
+    switch (node.type) {
+      case 'term':
+        return this.OPERATORS.includes(node.value) || /[\s()"]/.test(node.value)
+          ? `"${node.value}"`
+          : node.value;
+      case 'not':
+        return `NOT ${this.stringify(node.operand)}`;
+      default: {
+        const joiner = node.type === 'and' ? ' AND ' : ' OR ';
+        return node.operands.map(child => {
+          const text = this.stringify(child);
+          return child.type === 'and' || child.type === 'or' ? `(${text})` : text;
+        }).join(joiner);
+      }
+    }
+  },
+
+  /**
+   * Judge each top level clause of a query on its own, so the UI can say
+   * which parts a tab satisfied. For "a AND b NOT c" the clauses are
+   * "a", "b" and "NOT c"; any other query is a single clause.
+   *
+   * @param {Object} ast  Parsed query
+   * @param {boolean[]} present  present[i] is true if term i occurs
+   * @returns {Object[]}  Array of { text, satisfied }
+   */
+  describeClauses(ast, present) {
+    const clauses = ast.type === 'and' ? ast.operands : [ast];
+    return clauses.map(clause => ({
+      text: this.stringify(clause),
+      satisfied: this.evaluate(clause, present)
+    }));
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QueryParser;
+}
@@ -23,10 +23,42 @@
  *    lps to continue searching for overlapping matches.
  *    On mismatch, use lps[j-1] to jump j back (skip re-comparing known
  *    prefix), and only advance i if j is already at 0.
+ *
+ * Regex mode:
+ *   When options.regex is set, prepare() compiles the query into a RegExp
+ *   instead of an LPS table, and scan() walks it with exec(). The match
+ *   objects have the same { text, index, length } shape, so callers do not
+ *   care which path produced them. A regex cannot be interrupted mid-exec,
+ *   so as a best effort we turn away patterns that look prone to
+ *   catastrophic backtracking and stop scanning once a query has spent
+ *   its time budget. Neither is a guarantee, which is why content.js runs
+ *   regex searches in a worker it can terminate.
+ *
+ * Multi-term mode (Aho-Corasick):
+ *   With options.multiTerm the query is split on commas into several terms.
+ *   Running KMP once per term would scan every text node once per term, so
+ *   instead prepare() builds an Aho-Corasick automaton: a trie of all terms
+ *   plus failure links, which are the multi-pattern version of the LPS
+ *   table. scan() then walks each text chunk once and reports every term
+ *   that ends at each position. Matches carry a `term` index so callers
+ *   can count and colour them per term.
+ *
+ *   Time: O(M) preprocessing, M = total length of all terms, plus
+ *   O(n + z) per chunk, z = number of matches reported.
  */
 
 const SearchEngine = {
 
+  /** Total time (ms) one prepared regex may spend in scan() across all chunks */
+  REGEX_TIME_BUDGET: 1000,
+
+  /** Upper bound on regex matches collected for one prepared query */
+  REGEX_MAX_MATCHES: 10000,
+
+  /** Characters tried to tell whether two regex atoms overlap: ASCII and a few beyond */
+  OVERLAP_SAMPLES: Array.from({ length: 128 }, (_, code) => String.fromCharCode(code))
+    .concat(['\u00a0', '\u00e9', '\u00df', '\u0436', '\u4e2d', '\u2028']),
+
   /**
    * Build the KMP failure table (LPS array).
    *
@@ -69,6 +101,138 @@ const SearchEngine = {
     return lps;
   },
 
+  /**
+   * Build an Aho-Corasick automaton for several patterns.
+   *
+   * goto[s] maps a character to the next state, fail[s] is the state for
+   * the longest proper suffix of s that is also a trie prefix (like lps[]
+   * in KMP), and output[s] lists the patterns that end in state s,
+   * including those inherited through failure links.
+   *
+   * Example: patterns = ["he", "she", "hers"]
+   *   Scanning "ushers" reports "she" and "he" at the same end position
+   *   (via the failure link she -> he), then "hers".
+   *
+   * @param {string[]} patterns  The search patterns
+   * @returns {Object}  { goto, fail, output }
+   */
+  buildAutomaton(patterns) {
+    const goto = [new Map()];
+    const fail = [0];
+    const output = [[]];
+
+    // 1. Insert every pattern into the trie
+    patterns.forEach((pattern, p) => {
+      let state = 0;
+      for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (!goto[state].has(ch)) {
+          goto.push(new Map());
+          fail.push(0);
+          output.push([]);
+          goto[state].set(ch, goto.length - 1);
+        }
+        state = goto[state].get(ch);
+      }
+      output[state].push(p);
+    });
+
+    // 2. Breadth first over the trie to set failure links; depth 1 states
+    //    always fail back to the root
+    const queue = Array.from(goto[0].values());
+    let head = 0;
+
+    while (head < queue.length) {
+      const state = queue[head++];
+
+      goto[state].forEach((next, ch) => {
+        queue.push(next);
+
+        let f = fail[state];
+        while (f !== 0 && !goto[f].has(ch)) {
+          f = fail[f];
+        }
+        fail[next] = goto[f].has(ch) ? goto[f].get(ch) : 0;
+        output[next] = output[next].concat(output[fail[next]]);
+      });
+    }
+
+    return { goto, fail, output };
+  },
+
+  /**
+   * Split a query into its search terms.
+   * Without multiTerm the whole query is a single term. With multiTerm it
+   * is split on commas; blank and duplicate terms are dropped. In regex
+   * mode commas that are part of the regex syntax, as in \d{1,3}, [,;],
+   * (a,b) or \, do not split, see splitRegexTerms(). An array is taken as
+   * an already split term list and kept as is, so callers can rely on term
+   * indices matching their own list.
+   *
+   * @param {string|string[]} pattern  The raw search query or term list
+   * @param {Object} options  { caseSensitive, multiTerm, regex }
+   * @returns {string[]}  Trimmed, non-empty terms
+   */
+  getTerms(pattern, options = {}) {
+    if (!pattern) return [];
+    if (Array.isArray(pattern)) return pattern;
+
+    let raw = [pattern];
+    if (options.multiTerm) {
+      raw = options.regex ? this.splitRegexTerms(pattern) : pattern.split(',');
+    }
+
+    const seen = new Set();
+    return raw.map(term => term.trim()).filter(term => {
+      const key = options.caseSensitive ? term : term.toLowerCase();
+      if (term.length === 0 || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  },
+
+  /**
+   * Split a list of regexes on the commas between them.
+   * A comma inside a character class, a {m,n} quantifier or a group, or
+   * escaped with a backslash, belongs to the regex and is kept.
+   *
+   * @param {string} pattern  Comma separated regex sources
+   * @returns {string[]}  Untrimmed pieces
+   */
+  splitRegexTerms(pattern) {
+    const pieces = [];
+    let start = 0;
+    let inClass = false;
+    let braces = 0;
+    let groups = 0;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const ch = pattern[i];
+
+      if (ch === '\\') {
+        i++; // Skip the escaped character
+      } else if (inClass) {
+        if (ch === ']') inClass = false;
+      } else if (ch === '[') {
+        inClass = true;
+      } else if (ch === '{') {
+        braces++;
+      } else if (ch === '}') {
+        braces = Math.max(0, braces - 1);
+      } else if (ch === '(') {
+        groups++;
+      } else if (ch === ')') {
+        groups = Math.max(0, groups - 1);
+      } else if (ch === ',' && braces === 0 && groups === 0) {
+        pieces.push(pattern.slice(start, i));
+        start = i + 1;
+      }
+    }
+
+    pieces.push(pattern.slice(start));
+    return pieces;
+  },
+
   /**
    * Check if a character is a word boundary (non alphanumeric / underscore).
    * Used for "whole word" matching.
@@ -88,23 +252,316 @@ const SearchEngine = {
     );
   },
 
+  /**
+   * Detect regex sources that are prone to catastrophic backtracking: a
+   * group repeated more than once whose body can match the same text in
+   * many ways. That is the case when
+   *   - one repeated piece is all the body needs: (a+)+, (\w*)*, (\w+\s?)+
+   *   - the body has a .* or .+ in it: (.*a){20}
+   *   - alternatives overlap: (a|aa)+, (a|b?)+
+   *   - two repeated pieces next to each other can match the same
+   *     characters, so either could take them: (x+x+)+, (\w+\d+)+
+   * This is a best-effort heuristic, not a proof. Patterns it misses are
+   * cut short by the time budget in scanRegex() between exec() calls, and
+   * by the search worker's deadline within one.
+   *
+   * @param {string} source  Regex source
+   * @returns {boolean}  True if the pattern looks unsafe
+   */
+  isRunawayPattern(source) {
+    return this.parseRegexGroup(source, 0).runaway;
+  },
+
+  /**
+   * Parse a regex source up to the end of the group it is in, for
+   * isRunawayPattern(). Each alternative becomes a list of atoms with
+   * their repeat counts; nested groups are parsed recursively and checked
+   * as soon as their quantifier is known.
+   *
+   * @param {string} source  Regex source, known to compile
+   * @param {number} start  Index just inside the group, or 0 for the whole source
+   * @returns {Object}  { end, alternatives, runaway }, end being the index
+   *                    of the closing parenthesis or source.length
+   */
+  parseRegexGroup(source, start) {
+    const alternatives = [[]];
+    let runaway = false;
+    let i = start;
+
+    while (i < source.length && source[i] !== ')') {
+      const ch = source[i];
+      const atoms = alternatives[alternatives.length - 1];
+      let atom = null;
+
+      if (ch === '|') {
+        alternatives.push([]);
+        i++;
+        continue;
+      }
+
+      if (ch === '\\') {
+        const escaped = source[i + 1];
+        if (escaped === 'b' || escaped === 'B') {
+          atom = { zeroWidth: true };
+          i += 2;
+        } else if (/[1-9]/.test(escaped)) {
+          // A backreference can stand for anything
+          atom = { literal: null, dot: true };
+          i += 2;
+        } else {
+          // Class escapes match more than one string; \x41, \u0041 and
+          // \cA run on past the letter
+          const escape = /^\\(?:x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|c[a-zA-Z]|[\s\S])/.exec(source.slice(i))[0];
+          atom = { literal: /[a-zA-Z0-9]/.test(escaped) ? null : escaped, chars: this.charTester(escape) };
+          i += escape.length;
+        }
+      } else if (ch === '[') {
+        const classStart = i;
+        i++;
+        while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+        i++;
+        atom = { literal: null, chars: this.charTester(source.slice(classStart, i)) };
+      } else if (ch === '(') {
+        i++;
+        let lookaround = false;
+        if (source[i] === '?') {
+          if (source[i + 1] === '=' || source[i + 1] === '!') {
+            lookaround = true;
+            i += 2;
+          } else if (source[i + 1] === '<' && (source[i + 2] === '=' || source[i + 2] === '!')) {
+            lookaround = true;
+            i += 3;
+          } else if (source[i + 1] === '<') {
+            i = source.indexOf('>', i) + 1;
+          } else {
+            i += 2;
+          }
+        }
+
+        const group = this.parseRegexGroup(source, i);
+        runaway = runaway || group.runaway;
+        i = group.end + 1;
+        atom = lookaround ? { zeroWidth: true } : { group: group.alternatives, literal: this.groupLiteral(group.alternatives) };
+      } else if (ch === '^' || ch === '$') {
+        atom = { zeroWidth: true };
+        i++;
+      } else if (ch === '.') {
+        atom = { literal: null, dot: true };
+        i++;
+      } else {
+        atom = { literal: ch, chars: this.charTester(ch.replace(/[{}]/, '\\$&')) };
+        i++;
+      }
+
+      atom.min = 1;
+      atom.max = 1;
+
+      // A quantifier applies to the atom just read
+      const quantifier = /^(?:([*+?])|\{(\d+)(,(\d*))?\})\??/.exec(source.slice(i, i + 24));
+      if (quantifier) {
+        if (quantifier[1]) {
+          atom.min = quantifier[1] === '+' ? 1 : 0;
+          atom.max = quantifier[1] === '?' ? 1 : Infinity;
+        } else {
+          atom.min = Number(quantifier[2]);
+          atom.max = !quantifier[3] ? atom.min : quantifier[4] ? Number(quantifier[4]) : Infinity;
+        }
+        i += quantifier[0].length;
+
+        if (atom.group && atom.max > 1 && this.isAmbiguousGroup(atom.group)) runaway = true;
+      }
+
+      atoms.push(atom);
+    }
+
+    return { end: i, alternatives, runaway };
+  },
+
+  /**
+   * Check whether a repeated group's body can match the same text in many
+   * ways, see isRunawayPattern()
+   *
+   * @param {Object[][]} alternatives  Atoms per alternative, from parseRegexGroup()
+   * @returns {boolean}  True if repeating the group could backtrack exponentially
+   */
+  isAmbiguousGroup(alternatives) {
+    const canBeEmpty = atom => atom.zeroWidth || atom.min === 0 ||
+      Boolean(atom.group && atom.group.some(alternative => alternative.every(canBeEmpty)));
+    const varies = atom => atom.max === Infinity ||
+      Boolean(atom.group && atom.group.some(alternative => alternative.some(varies)));
+
+    for (const atoms of alternatives) {
+      if (atoms.some(atom => atom.dot && atom.max === Infinity)) return true;
+      if (atoms.some(atom => varies(atom) && atoms.every(other => other === atom || canBeEmpty(other)))) return true;
+    }
+
+    if (alternatives.some(atoms => this.hasOverlappingRepeats(atoms, varies, canBeEmpty))) return true;
+
+    if (alternatives.length < 2) return false;
+    if (alternatives.some(atoms => atoms.every(canBeEmpty))) return true;
+
+    // One literal alternative starting another, as in (a|aa)
+    const literals = alternatives.map(atoms => this.groupLiteral([atoms])).filter(literal => literal !== null);
+    return literals.some((a, i) => literals.some((b, j) => i !== j && b.startsWith(a)));
+  },
+
+  /**
+   * Check whether two repeated atoms of a repeated group's alternative
+   * follow each other, with at most optional atoms in between, and can
+   * match the same character, as in (x+x+)+ or (\w+\d+)+. The group
+   * repeats, so its last atom is also followed by its first.
+   *
+   * @param {Object[]} atoms  One alternative, from parseRegexGroup()
+   * @param {Function} varies  Whether an atom can match different lengths
+   * @param {Function} canBeEmpty  Whether an atom can match nothing
+   * @returns {boolean}  True if two neighbouring repeats overlap
+   */
+  hasOverlappingRepeats(atoms, varies, canBeEmpty) {
+    for (let i = 0; i < atoms.length; i++) {
+      if (!varies(atoms[i])) continue;
+
+      for (let step = 1; step < atoms.length; step++) {
+        const next = atoms[(i + step) % atoms.length];
+        if (varies(next) && this.atomsOverlap(atoms[i], next)) return true;
+        if (!canBeEmpty(next)) break;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Check whether two atoms can match the same character. Groups count
+   * every character any atom inside them can match; atoms whose
+   * characters are unknown are assumed to overlap.
+   *
+   * @param {Object} a  Atom from parseRegexGroup()
+   * @param {Object} b  Atom from parseRegexGroup()
+   * @returns {boolean}  True if some character matches both
+   */
+  atomsOverlap(a, b) {
+    const testerOf = atom => {
+      if (atom.zeroWidth) return () => false;
+      if (atom.group) {
+        const testers = atom.group.flat().map(testerOf);
+        return ch => testers.some(test => test(ch));
+      }
+      return atom.chars || (() => true);
+    };
+
+    const testA = testerOf(a);
+    const testB = testerOf(b);
+    return this.OVERLAP_SAMPLES.some(ch => testA(ch) && testB(ch));
+  },
+
+  /**
+   * Turn the source of a single-character atom (a character, escape or
+   * class) into a test for one character. Case is ignored, so the test
+   * errs towards overlapping.
+   *
+   * @param {string} source  Atom source, e.g. 'x', '\\d' or '[a-z]'
+   * @returns {Function}  Takes a character, returns true if the atom matches it
+   */
+  charTester(source) {
+    try {
+      const regex = new RegExp(`^(?:${source})$`, 'i');
+      return ch => regex.test(ch);
+    } catch (error) {
+      return () => true;
+    }
+  },
+
+  /**
+   * Get the one string a parsed group or alternative matches, if it only
+   * matches one
+   *
+   * @param {Object[][]} alternatives  Atoms per alternative, from parseRegexGroup()
+   * @returns {string|null}  The literal text, or null if it can vary
+   */
+  groupLiteral(alternatives) {
+    if (alternatives.length !== 1) return null;
+
+    let text = '';
+    for (const atom of alternatives[0]) {
+      if (atom.literal === null || atom.literal === undefined || atom.min !== atom.max) return null;
+      text += atom.literal.repeat(atom.min);
+    }
+    return text;
+  },
+
+  /**
+   * Check a query before it is sent to any tab.
+   * Literal queries are always valid; regex queries must compile and must
+   * not look like a runaway pattern.
+   *
+   * @param {string|string[]} pattern  The raw search query or term list
+   * @param {Object} options  { regex, multiTerm }
+   * @returns {string|null}  Short error message, or null if the query is usable
+   */
+  validate(pattern, options = {}) {
+    if (!options.regex) return null;
+
+    for (const term of this.getTerms(pattern, options)) {
+      try {
+        new RegExp(term, 'g');
+      } catch (error) {
+        // "Invalid regular expression: /(/: Unterminated group" -> "Unterminated group"
+        return error.message.replace(/^Invalid regular expression: \/.*\/[a-z]*: /, '');
+      }
+
+      if (this.isRunawayPattern(term)) {
+        return 'Pattern could be too slow';
+      }
+    }
+
+    return null;
+  },
+
   /**
    * Precompute KMP state for a given pattern and options.
    * Call this once per search query, then pass the returned object
    * to scan() for each text chunk. This avoids rebuilding the LPS
    * table for every text node.
    *
-   * @param {string} pattern  The raw search query
-   * @param {Object} options  { caseSensitive, wholeWord }
+   * In regex mode the state holds a compiled RegExp instead of the LPS
+   * table. Invalid or unsafe patterns yield null, the same as an empty one;
+   * use validate() to get the reason.
+   *
+   * When the query has several terms (see getTerms()) the state holds an
+   * Aho-Corasick automaton, or in regex mode one regex state per term.
+   * Either way it has a `terms` array, and scan() tags each match with the
+   * index of its term.
+   *
+   * @param {string|string[]} pattern  The raw search query or term list
+   * @param {Object} options  { caseSensitive, wholeWord, regex, multiTerm }
    * @returns {Object|null}  Prepared search state, or null if pattern is empty
    */
   prepare(pattern, options = {}) {
-    if (!pattern || pattern.trim().length === 0) {
+    const terms = this.getTerms(pattern, options);
+    if (terms.length === 0) {
       return null;
     }
 
-    const { caseSensitive = false, wholeWord = false } = options;
-    const query = pattern.trim();
+    const { caseSensitive = false, wholeWord = false, regex = false } = options;
+
+    if (terms.length > 1) {
+      return this.prepareMulti(terms, options);
+    }
+
+    const query = terms[0];
+
+    if (regex) {
+      if (this.validate(query, options)) return null;
+
+      return {
+        original: query,
+        regex: new RegExp(query, caseSensitive ? 'g' : 'gi'),
+        caseSensitive: caseSensitive,
+        wholeWord: wholeWord,
+        elapsed: 0,
+        matchCount: 0,
+        truncated: false
+      };
+    }
 
     const searchPattern = caseSensitive ? query : query.toLowerCase();
     const m = searchPattern.length;
@@ -121,6 +578,45 @@ const SearchEngine = {
     };
   },
 
+  /**
+   * Precompute state for several terms at once.
+   *
+   * @param {string[]} terms  Trimmed, non-empty terms
+   * @param {Object} options  { caseSensitive, wholeWord, regex }
+   * @returns {Object|null}  Prepared multi-term state
+   */
+  prepareMulti(terms, options) {
+    const { caseSensitive = false, wholeWord = false, regex = false } = options;
+
+    if (regex) {
+      // Regexes cannot share an automaton; keep one state per term
+      const states = terms.map(term => this.prepare(term, { ...options, multiTerm: false }));
+      if (states.some(state => !state)) return null;
+
+      // The terms share one time budget and one match cap, so a query
+      // with several terms is no slower than one with a single term
+      return {
+        original: terms.join(', '),
+        terms: terms,
+        states: states,
+        elapsed: 0,
+        matchCount: 0,
+        truncated: false
+      };
+    }
+
+    const patterns = terms.map(term => caseSensitive ? term : term.toLowerCase());
+
+    return {
+      original: terms.join(', '),
+      terms: terms,
+      patterns: patterns,
+      automaton: this.buildAutomaton(patterns),
+      caseSensitive: caseSensitive,
+      wholeWord: wholeWord
+    };
+  },
+
   /**
    * Scan a single text chunk using precomputed KMP state.
    * This is the hot path; it does zero preprocessing, only character
@@ -132,6 +628,9 @@ const SearchEngine = {
    */
   scan(text, state) {
     if (!text || !state) return [];
+    if (state.automaton) return this.scanMulti(text, state);
+    if (state.states) return this.scanEach(text, state);
+    if (state.regex) return this.scanRegex(text, state);
 
     const { searchPattern, lps, m, caseSensitive, wholeWord } = state;
     const searchText = caseSensitive ? text : text.toLowerCase();
@@ -187,6 +686,204 @@ const SearchEngine = {
     return matches;
   },
 
+  /**
+   * Scan a single text chunk with a prepared regex.
+   * Zero length matches are skipped since there is nothing to highlight.
+   * Time spent here is charged to budget.elapsed; once the budget or the
+   * match cap is used up, budget.truncated is set and every later call
+   * returns nothing, so a slow pattern cannot stall the page.
+   *
+   * @param {string} text  The text chunk to search through
+   * @param {Object} state  Precomputed regex state from prepare()
+   * @param {Object} budget  State charged for time and matches; the
+   *                         multi-term state when scanning one of its terms
+   * @returns {Array}  Array of { text, index, length } match objects
+   */
+  scanRegex(text, state, budget = state) {
+    if (budget.truncated) return [];
+
+    const { regex, wholeWord } = state;
+    const started = Date.now();
+    const matches = [];
+    let m;
+
+    regex.lastIndex = 0;
+
+    while ((m = regex.exec(text)) !== null) {
+      if (m[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      let valid = true;
+      if (wholeWord) {
+        const end = m.index + m[0].length;
+        valid = this.isWordBoundary(text[m.index - 1]) && this.isWordBoundary(text[end]);
+      }
+
+      if (valid) {
+        matches.push({ text: m[0], index: m.index, length: m[0].length });
+        budget.matchCount++;
+      }
+
+      if (budget.matchCount >= this.REGEX_MAX_MATCHES ||
+          budget.elapsed + (Date.now() - started) > this.REGEX_TIME_BUDGET) {
+        budget.truncated = true;
+        break;
+      }
+    }
+
+    budget.elapsed += Date.now() - started;
+    return matches;
+  },
+
+  /**
+   * Scan a single text chunk with a prepared Aho-Corasick automaton.
+   * One pass over the text finds every term; on a mismatch the failure
+   * links move to the longest suffix that can still continue a term,
+   * exactly like lps[] does for a single pattern.
+   *
+   * @param {string} text  The text chunk to search through
+   * @param {Object} state  Precomputed multi-term state from prepare()
+   * @returns {Array}  { text, index, length, term } matches, sorted by
+   *                   index, longer matches first at the same index
+   */
+  scanMulti(text, state) {
+    const { automaton, patterns, caseSensitive, wholeWord } = state;
+    const { goto, fail, output } = automaton;
+    const searchText = caseSensitive ? text : text.toLowerCase();
+    const n = searchText.length;
+    const matches = [];
+    let s = 0;
+
+    for (let i = 0; i < n; i++) {
+      const ch = searchText[i];
+
+      while (s !== 0 && !goto[s].has(ch)) {
+        s = fail[s];
+      }
+      s = goto[s].get(ch) || 0;
+
+      output[s].forEach(p => {
+        const length = patterns[p].length;
+        const index = i - length + 1;
+
+        if (wholeWord && !(this.isWordBoundary(text[index - 1]) && this.isWordBoundary(text[i + 1]))) {
+          return;
+        }
+
+        matches.push({
+          text: text.slice(index, index + length), // preserve original case
+          index: index,
+          length: length,
+          term: p
+        });
+      });
+    }
+
+    return matches.sort((a, b) => a.index - b.index || b.length - a.length);
+  },
+
+  /**
+   * Scan a single text chunk with one regex state per term and merge the
+   * results into one ordered list. All terms are charged to the one
+   * budget on the multi-term state.
+   *
+   * @param {string} text  The text chunk to search through
+   * @param {Object} state  Precomputed multi-term regex state from prepare()
+   * @returns {Array}  { text, index, length, term } matches, sorted like scanMulti()
+   */
+  scanEach(text, state) {
+    const matches = [];
+
+    state.states.forEach((termState, term) => {
+      this.scanRegex(text, termState, state).forEach(m => {
+        matches.push({ ...m, term: term });
+      });
+    });
+
+    return matches.sort((a, b) => a.index - b.index || b.length - a.length);
+  },
+
+  /**
+   * Drop matches that overlap an earlier one (e.g. the second "aa" in
+   * "aaa"). A piece of text can only be highlighted once, so everything
+   * that counts or highlights matches applies this to scan() results.
+   *
+   * @param {Array} matches  Matches from scan(), sorted by index, longer first
+   * @returns {Array}  Non-overlapping matches
+   */
+  dropOverlaps(matches) {
+    let lastEnd = 0;
+
+    return matches.filter(m => {
+      if (m.index < lastEnd) return false;
+      lastEnd = m.index + m.length;
+      return true;
+    });
+  },
+
+  /**
+   * Work out the text that replaces a match.
+   * In regex mode the replacement may use $1, $<name>, $& and $$ like
+   * String.prototype.replace(). The regex is run again at the match's
+   * position in the full text, so anchors and lookbehinds see the same
+   * context as the search did. Otherwise the replacement is literal.
+   *
+   * @param {string} text  Text the match was found in
+   * @param {Object} match  { index, length, term } from scan()
+   * @param {string} replacement  What to put in its place
+   * @param {Object} state  Prepared state the match came from
+   * @returns {string|null}  Replacement text, or null if the match is no longer in the text
+   */
+  expandReplacement(text, match, replacement, state) {
+    const sticky = this.stickyRegex(match, state);
+    if (!sticky) {
+      return text.length >= match.index + match.length ? replacement : null;
+    }
+
+    sticky.lastIndex = match.index;
+    const found = sticky.exec(text);
+    if (!found || found[0].length !== match.length) return null;
+
+    // Let replace() expand the $ patterns, then cut out the replaced part
+    sticky.lastIndex = match.index;
+    const replaced = text.replace(sticky, replacement);
+    return replaced.slice(match.index, replaced.length - (text.length - match.index - match.length));
+  },
+
+  /**
+   * Get a regex match's capture groups, by running the regex again at
+   * the match's position like expandReplacement() does.
+   *
+   * @param {string} text  Text the match was found in
+   * @param {Object} match  { index, length, term } from scan()
+   * @param {Object} state  Prepared state the match came from
+   * @returns {string[]|null}  Groups in order (unmatched ones empty), or null when not in regex mode
+   */
+  getGroups(text, match, state) {
+    const sticky = this.stickyRegex(match, state);
+    if (!sticky) return null;
+
+    sticky.lastIndex = match.index;
+    const found = sticky.exec(text);
+    return found ? found.slice(1).map(group => group || '') : [];
+  },
+
+  /**
+   * Build a regex that only matches where it starts, for rerunning the
+   * regex a match came from at the match's position.
+   *
+   * @param {Object} match  { term } from scan()
+   * @param {Object} state  Prepared state the match came from
+   * @returns {RegExp|null}  Sticky regex, or null when not in regex mode
+   */
+  stickyRegex(match, state) {
+    const termState = state.states ? state.states[match.term || 0] : state;
+    if (!termState.regex) return null;
+    return new RegExp(termState.regex.source, termState.regex.flags.replace('g', '') + 'y');
+  },
+
   /**
    * Convenience method: prepare + scan in one call.
    * Use this when searching a single text. For searching many text nodes
@@ -194,7 +891,7 @@ const SearchEngine = {
    *
    * @param {string} text  The text to search through
    * @param {string} pattern  The pattern to search for
-   * @param {Object} options  { caseSensitive, wholeWord }
+   * @param {Object} options  { caseSensitive, wholeWord, regex, multiTerm }
    * @returns {Array}  Array of { text, index, length } match objects
    */
   findMatches(text, pattern, options = {}) {
@@ -0,0 +1,62 @@
+/**
+ * CTRL+F Pro Search Worker
+ * Runs SearchEngine.scan() off the page's main thread.
+ *
+ * content.js extracts the text of each block (see text-model.js) and posts
+ * the strings here; only match offsets come back. Turning offsets into DOM
+ * ranges needs the blocks' offset maps, so that part stays in content.js.
+ *
+ * On a page the worker is started from a blob that loads search-engine.js
+ * and this file with importScripts(), which is why both are web
+ * accessible. The offscreen document (see src/offscreen) starts this file
+ * directly, and it loads search-engine.js itself.
+ *
+ * Messages in:
+ *   { id, key, query, options, texts }  Scan the texts for one search
+ *   { key, done: true }                 The search is over; drop its state
+ *
+ * Messages out:
+ *   { id, matches, truncated }  matches is an Int32Array of
+ *                               [textIndex, index, length, term] quadruples,
+ *                               term -1 when the query has a single term
+ *   { id, error }               Scanning failed
+ */
+
+if (typeof SearchEngine === 'undefined') {
+  importScripts('search-engine.js');
+}
+
+// Prepared state per search, so a regex keeps one time budget and one
+// match cap across all the batches of a page
+const states = new Map();
+
+self.onmessage = (event) => {
+  const { id, key, query, options, texts, done } = event.data;
+
+  if (done) {
+    states.delete(key);
+    return;
+  }
+
+  try {
+    let state = states.get(key);
+    if (!state) {
+      state = SearchEngine.prepare(query, options);
+      states.set(key, state);
+    }
+
+    const found = [];
+    if (state) {
+      texts.forEach((text, textIndex) => {
+        SearchEngine.scan(text, state).forEach(m => {
+          found.push(textIndex, m.index, m.length, m.term === undefined ? -1 : m.term);
+        });
+      });
+    }
+
+    const matches = Int32Array.from(found);
+    self.postMessage({ id, matches, truncated: Boolean(state && state.truncated) }, [matches.buffer]);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
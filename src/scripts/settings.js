@@ -0,0 +1,371 @@
+/**
+ * CTRL+F Pro Settings
+ * User settings shared by the background, content scripts, overlay and the
+ * options page.
+ *
+ * Storage:
+ *   One object under STORAGE_KEY in chrome.storage.sync, so settings follow
+ *   the user across browsers. Only the options page writes it; every other
+ *   script reads it with load() and follows changes with onChange().
+ *
+ * Validation:
+ *   Whatever is stored goes through validate() on the way out, so a field
+ *   that is missing, from an older version or hand edited falls back to
+ *   its default instead of breaking a script.
+ *
+ * URL patterns:
+ *   The allow and deny lists take Chrome match patterns, e.g.
+ *   "*://*.bank.com/*", or globs, e.g. "hr.example.com" or
+ *   "intranet.example.com/payroll/*". A glob is matched against the URL
+ *   without its scheme; a glob without a "/" names a host, and a host
+ *   without "*" covers its subdomains too.
+ */
+
+const Settings = {
+
+  STORAGE_KEY: 'settings',
+
+  DEFAULTS: {
+    // Options a new search starts with
+    searchOptions: {
+      caseSensitive: false,
+      wholeWord: false,
+      regex: false,
+      multiTerm: false,
+      includeFields: false
+    },
+
+    // Tabs whose URL starts with one of these are never searched
+    restrictedPrefixes: [
+      'chrome://',
+      'chrome-extension://',
+      'devtools://',
+      'edge://',
+      'about:',
+      'moz-extension://'
+    ],
+
+    // When non-empty, only pages matching one of these are searched
+    includePatterns: [],
+
+    // Pages matching one of these are never searched
+    excludePatterns: [],
+
+    // file:// pages, which also need "Allow access to file URLs"
+    searchLocalFiles: false,
+
+    // Time (ms) the overlay waits after a keystroke before searching
+    searchDelay: 150,
+
+    // Highlight colours; terms[0] also colours single-term matches
+    colors: {
+      terms: [
+        'rgba(255, 235, 59, 0.6)',
+        'rgba(129, 199, 132, 0.6)',
+        'rgba(100, 181, 246, 0.6)',
+        'rgba(240, 98, 146, 0.5)',
+        'rgba(186, 104, 200, 0.5)',
+        'rgba(77, 208, 225, 0.6)'
+      ],
+      current: 'rgba(255, 152, 0, 0.8)',
+      outline: '#4a90d9'
+    }
+  },
+
+  MAX_SEARCH_DELAY: 2000,
+
+  // Pattern -> RegExp (or null if invalid), see compilePattern()
+  patternCache: new Map(),
+
+  /**
+   * Check a colour value. Hex, rgb[a]() and hsl[a]() are accepted; named
+   * colours are not, since the background has no CSS parser to check them.
+   *
+   * @param {string} value  Colour to check
+   * @returns {boolean}  True if the value is a usable colour
+   */
+  isColor(value) {
+    if (typeof value !== 'string') return false;
+    const color = value.trim();
+    return /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(color) ||
+      /^(rgb|hsl)a?\(\s*[\d.%\s,/+-]+\)$/i.test(color);
+  },
+
+  /**
+   * Check settings and fill in defaults.
+   * Missing fields take their default silently; invalid ones take their
+   * default and are reported.
+   *
+   * @param {Object} input  Settings as stored or entered
+   * @returns {Object}  { settings, errors }, errors mapping a field name to a message
+   */
+  validate(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const defaults = this.DEFAULTS;
+    const errors = {};
+
+    const searchOptions = { ...defaults.searchOptions };
+    if (source.searchOptions && typeof source.searchOptions === 'object') {
+      Object.keys(searchOptions).forEach(key => {
+        if (key in source.searchOptions) searchOptions[key] = Boolean(source.searchOptions[key]);
+      });
+    }
+
+    let restrictedPrefixes = defaults.restrictedPrefixes;
+    if (source.restrictedPrefixes !== undefined) {
+      const prefixes = Array.isArray(source.restrictedPrefixes)
+        ? source.restrictedPrefixes.map(p => String(p).trim().toLowerCase()).filter(p => p.length > 0)
+        : null;
+      const invalid = prefixes ? prefixes.find(p => !/^[a-z][a-z0-9+.-]*:/.test(p)) : null;
+
+      if (!prefixes) {
+        errors.restrictedPrefixes = 'Expected a list of URL prefixes';
+      } else if (invalid) {
+        errors.restrictedPrefixes = `"${invalid}" does not start with a URL scheme, like "chrome://"`;
+      } else {
+        restrictedPrefixes = prefixes;
+      }
+    }
+
+    const checkPatterns = (field) => {
+      if (source[field] === undefined) return defaults[field];
+
+      const patterns = Array.isArray(source[field])
+        ? source[field].map(p => String(p).trim()).filter(p => p.length > 0)
+        : null;
+      const invalid = patterns ? patterns.find(p => !this.compilePattern(p)) : null;
+
+      if (!patterns) {
+        errors[field] = 'Expected a list of URL patterns';
+      } else if (invalid) {
+        errors[field] = `"${invalid}" is not a valid match pattern or glob`;
+      } else {
+        return patterns;
+      }
+      return defaults[field];
+    };
+    const includePatterns = checkPatterns('includePatterns');
+    const excludePatterns = checkPatterns('excludePatterns');
+
+    const searchLocalFiles = source.searchLocalFiles === undefined
+      ? defaults.searchLocalFiles
+      : Boolean(source.searchLocalFiles);
+
+    let searchDelay = defaults.searchDelay;
+    if (source.searchDelay !== undefined) {
+      const delay = Number(source.searchDelay);
+      if (!Number.isInteger(delay) || delay < 0 || delay > this.MAX_SEARCH_DELAY) {
+        errors.searchDelay = `Enter a whole number of milliseconds from 0 to ${this.MAX_SEARCH_DELAY}`;
+      } else {
+        searchDelay = delay;
+      }
+    }
+
+    const colors = { ...defaults.colors, terms: [...defaults.colors.terms] };
+    const sourceColors = source.colors && typeof source.colors === 'object' ? source.colors : {};
+    const checkColor = (value, field, apply) => {
+      if (value === undefined) return;
+      if (this.isColor(value)) {
+        apply(value.trim());
+      } else {
+        errors[field] = 'Use a hex, rgb() or hsl() colour';
+      }
+    };
+
+    if (Array.isArray(sourceColors.terms)) {
+      colors.terms.forEach((color, i) => {
+        checkColor(sourceColors.terms[i], `colors.terms.${i}`, value => { colors.terms[i] = value; });
+      });
+    }
+    checkColor(sourceColors.current, 'colors.current', value => { colors.current = value; });
+    checkColor(sourceColors.outline, 'colors.outline', value => { colors.outline = value; });
+
+    return {
+      settings: {
+        searchOptions,
+        restrictedPrefixes,
+        includePatterns,
+        excludePatterns,
+        searchLocalFiles,
+        searchDelay,
+        colors
+      },
+      errors: errors
+    };
+  },
+
+  /**
+   * Turn a match pattern or glob into a regular expression over lowercased
+   * URLs.
+   *
+   * @param {string} pattern  Pattern as entered
+   * @returns {RegExp|null}  Compiled pattern, or null if it is invalid
+   */
+  compilePattern(pattern) {
+    if (this.patternCache.has(pattern)) return this.patternCache.get(pattern);
+
+    const p = pattern.trim().toLowerCase();
+    const escape = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    const glob = (text, any) => text.split('*').map(escape).join(any);
+    const port = (host) => host.includes(':') ? '' : '(?::\\d+)?';
+    let compiled = null;
+
+    const match = /^(\*|[a-z][a-z0-9+.-]*):\/\/([^/]*)(\/.*)?$/.exec(p);
+    if (p.length === 0 || /\s/.test(p)) {
+      // URLs never contain whitespace; leave the pattern invalid
+    } else if (p === '<all_urls>') {
+      compiled = /^(https?|file|ftp):/;
+    } else if (match) {
+      // Match pattern: scheme://host/path, with "*" or "*.domain" as host
+      const [, scheme, host, path] = match;
+      let hostPattern = null;
+      if (host === '*') {
+        hostPattern = '[^/]*';
+      } else if (host.startsWith('*.') && !host.slice(2).includes('*')) {
+        hostPattern = `(?:[^/]*\\.)?${escape(host.slice(2))}${port(host)}`;
+      } else if (!host.includes('*')) {
+        hostPattern = `${escape(host)}${port(host)}`;
+      }
+      if (hostPattern !== null) {
+        const schemePattern = scheme === '*' ? 'https?' : escape(scheme);
+        compiled = new RegExp(`^${schemePattern}://${hostPattern}${glob(path || '/*', '.*')}$`);
+      }
+    } else if (!p.includes('://') && !p.startsWith('/')) {
+      // Glob: a host, optionally followed by a path that the URL must start with
+      const slash = p.indexOf('/');
+      const host = slash === -1 ? p : p.slice(0, slash);
+      const path = slash === -1 ? '' : p.slice(slash);
+      const hostPattern = host.includes('*')
+        ? glob(host, '[^/]*')
+        : `(?:[^/]*\\.)?${escape(host)}`;
+      compiled = new RegExp(`^[a-z][a-z0-9+.-]*://${hostPattern}${path ? port(host) + glob(path, '.*') : '(?:[:/?#]|$)'}`);
+    }
+
+    this.patternCache.set(pattern, compiled);
+    return compiled;
+  },
+
+  /**
+   * Find the first pattern a URL matches.
+   *
+   * @param {string} url  Page URL
+   * @param {string[]} patterns  Match patterns or globs
+   * @returns {string|undefined}  The matching pattern
+   */
+  findPattern(url, patterns) {
+    const lower = url.toLowerCase();
+    return patterns.find(pattern => {
+      const compiled = this.compilePattern(pattern);
+      return compiled !== null && compiled.test(lower);
+    });
+  },
+
+  /**
+   * Check a page against the allow and deny lists and the local file
+   * switch.
+   *
+   * @param {string} url  Page URL
+   * @param {Object} settings  Settings
+   * @param {boolean} fileAccess  Whether the browser lets the extension read file:// pages
+   * @returns {string|null}  Why the page may not be searched, or null if it may
+   */
+  getSkipReason(url, settings, fileAccess) {
+    if (/^file:/i.test(url)) {
+      if (!settings.searchLocalFiles) return 'Searching local files is turned off in the options';
+      if (!fileAccess) return 'Turn on "Allow access to file URLs" on the extension\'s details page';
+    }
+
+    const excluded = this.findPattern(url, settings.excludePatterns);
+    if (excluded) return `Matches the excluded pattern "${excluded}"`;
+
+    if (settings.includePatterns.length > 0 && !this.findPattern(url, settings.includePatterns)) {
+      return 'Does not match any pattern on the list of pages to search';
+    }
+    return null;
+  },
+
+  /**
+   * Read the settings.
+   *
+   * @returns {Promise<Object>}  Valid settings, defaults filled in
+   */
+  async load() {
+    const result = await chrome.storage.sync.get(this.STORAGE_KEY);
+    return this.validate(result[this.STORAGE_KEY]).settings;
+  },
+
+  /**
+   * Store settings, unless any of them is invalid.
+   *
+   * @param {Object} input  Settings as entered
+   * @returns {Promise<Object>}  { settings, errors }; nothing is stored when errors has entries
+   */
+  async save(input) {
+    const result = this.validate(input);
+    if (Object.keys(result.errors).length === 0) {
+      await chrome.storage.sync.set({ [this.STORAGE_KEY]: result.settings });
+    }
+    return result;
+  },
+
+  /**
+   * Go back to the defaults.
+   *
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    await chrome.storage.sync.remove(this.STORAGE_KEY);
+  },
+
+  /**
+   * Call back whenever the settings change, from any script or device.
+   *
+   * @param {Function} callback  Called with the new, valid settings
+   */
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area !== 'sync' || !changes[this.STORAGE_KEY]) return;
+      callback(this.validate(changes[this.STORAGE_KEY].newValue).settings);
+    });
+  },
+
+  /**
+   * Check whether two sets of search options are the same.
+   *
+   * @param {Object} a  Search options
+   * @param {Object} b  Search options
+   * @returns {boolean}  True if every option is equal
+   */
+  sameOptions(a, b) {
+    return Object.keys(this.DEFAULTS.searchOptions).every(key => Boolean(a[key]) === Boolean(b[key]));
+  },
+
+  /**
+   * Build CSS that swaps in custom highlight colours through the variables
+   * of highlight.css. !important wins over the defaults that highlight.css
+   * sets on every shadow host.
+   *
+   * @param {Object} colors  Colour settings
+   * @returns {string}  CSS text, empty when the colours are the defaults
+   */
+  colorCss(colors) {
+    const defaults = this.DEFAULTS.colors;
+    const changed = colors.current !== defaults.current ||
+      colors.outline !== defaults.outline ||
+      colors.terms.some((color, i) => color !== defaults.terms[i]);
+    if (!changed) return '';
+
+    const variables = [
+      `--ctrlf-highlight: ${colors.terms[0]} !important;`,
+      `--ctrlf-highlight-current: ${colors.current} !important;`,
+      `--ctrlf-highlight-outline: ${colors.outline} !important;`,
+      ...colors.terms.map((color, i) => `--ctrlf-term-${i}: ${color} !important;`)
+    ];
+    return `:root, :host { ${variables.join(' ')} }`;
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Settings;
+}
@@ -0,0 +1,248 @@
+/**
+ * CTRL+F Pro Text Model
+ * Flattens the text nodes of each block into one string, with an offset map
+ * back to the original nodes.
+ *
+ * Why a flattened model:
+ *   Pages often split a visible phrase across inline elements, e.g.
+ *   "foo <b>bar</b>" or a word broken up by <span>s for styling. Scanning
+ *   each text node on its own never sees "foo bar". Instead we join the
+ *   text nodes of one block (a paragraph, list item, table cell, ...) and
+ *   scan the joined string once.
+ *
+ * How it works:
+ * 1. GROUP consecutive text nodes by their nearest non-inline ancestor.
+ *    Each group becomes a block { element, text, segments }, where every
+ *    segment records which slice [start, end) of block.text came from
+ *    which node.
+ *
+ * 2. MAP a match (index, length) in block.text back to node-local
+ *    ranges with mapRange(). A match inside one node yields one part; a
+ *    match across element boundaries yields one part per node it touches.
+ */
+
+const TextModel = {
+
+  /**
+   * Check whether an element lays its text out inline, i.e. its text
+   * continues the line of the surrounding block.
+   *
+   * @param {Element} el  The element to check
+   * @param {Map} cache  Element -> boolean cache, shared for one pass
+   * @returns {boolean}  True if the element is inline
+   */
+  isInline(el, cache) {
+    if (cache.has(el)) return cache.get(el);
+
+    const view = el.ownerDocument.defaultView;
+    const display = view ? view.getComputedStyle(el).display : 'block';
+    const inline = display === 'inline' || display === 'contents';
+
+    cache.set(el, inline);
+    return inline;
+  },
+
+  /**
+   * Find the element a text node renders in.
+   * Text placed right inside a shadow root has no parent element; it
+   * renders in the shadow host.
+   *
+   * @param {Node} node  Text node
+   * @returns {Element|null}  Parent element or shadow host
+   */
+  getTextParent(node) {
+    if (node.parentElement) return node.parentElement;
+    const parent = node.parentNode;
+    return parent && parent.nodeType === 11 && parent.host ? parent.host : null;
+  },
+
+  /**
+   * Find the element whose block a text node belongs to.
+   *
+   * @param {Node} node  Text node
+   * @param {Map} cache  Inline cache, see isInline()
+   * @returns {Element|null}  Nearest non-inline ancestor
+   */
+  getBlockElement(node, cache) {
+    let el = this.getTextParent(node);
+    while (el && el.parentElement && this.isInline(el, cache)) {
+      el = el.parentElement;
+    }
+    return el;
+  },
+
+  /**
+   * Group text nodes into flattened blocks.
+   * Nodes must be passed in document order. A new block starts whenever
+   * the block element changes, so text on either side of a nested block
+   * (e.g. "Hello <p>x</p> world") is never joined.
+   *
+   * Form fields (input, textarea) may be mixed in with the text nodes.
+   * Each becomes a block of its own holding the field's value, with
+   * field set and no segments, since the value has no text nodes.
+   *
+   * Line breaks and tabs are mapped to spaces so that a phrase wrapped in
+   * the source HTML still matches; the replacement keeps every offset.
+   *
+   * @param {Node[]} textNodes  Text nodes and fields in document order
+   * @returns {Object[]}  Array of { element, text, segments, field } blocks
+   */
+  buildBlocks(textNodes) {
+    const builder = this.createBuilder();
+    const blocks = [];
+
+    textNodes.forEach(node => {
+      builder.add(node).forEach(block => blocks.push(block));
+    });
+    builder.flush().forEach(block => blocks.push(block));
+
+    return blocks;
+  },
+
+  /**
+   * Group text nodes into blocks one node at a time, for callers that walk
+   * the page in slices. Same rules as buildBlocks().
+   *
+   * A block is only handed out once it is complete, i.e. when a node of
+   * another block arrives or flush() is called, so its text nodes are
+   * never needed again by the builder.
+   *
+   * @returns {Object}  { add(node), flush() }, both returning the blocks they completed
+   */
+  createBuilder() {
+    const cache = new Map();
+    let current = null;
+
+    const add = (node) => {
+      const done = [];
+
+      if (node.nodeType === 1) {
+        if (current) done.push(current);
+        current = null;
+        done.push({
+          element: node,
+          text: node.value.replace(/[\t\n\r\f]/g, ' '),
+          segments: [],
+          field: true
+        });
+        return done;
+      }
+
+      const element = this.getBlockElement(node, cache);
+
+      if (!current || current.element !== element) {
+        if (current) done.push(current);
+        current = { element: element, text: '', segments: [] };
+      }
+
+      const start = current.text.length;
+      current.text += node.textContent.replace(/[\t\n\r\f]/g, ' ');
+      current.segments.push({ node: node, start: start, end: current.text.length });
+      return done;
+    };
+
+    const flush = () => {
+      const done = current ? [current] : [];
+      current = null;
+      return done;
+    };
+
+    return { add, flush };
+  },
+
+  /**
+   * Find the first segment that ends after a block offset (binary search).
+   *
+   * @param {Object[]} segments  Block segments, sorted by start
+   * @param {number} offset  Offset into block.text
+   * @returns {number}  Segment index
+   */
+  findSegment(segments, offset) {
+    let lo = 0;
+    let hi = segments.length - 1;
+
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (segments[mid].end <= offset) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+
+    return lo;
+  },
+
+  /**
+   * Map a slice of block.text back to the text nodes it came from.
+   *
+   * @param {Object} block  Block from buildBlocks()
+   * @param {number} index  Start offset in block.text
+   * @param {number} length  Length of the slice
+   * @returns {Object[]}  Array of { node, start, end } with node-local offsets
+   */
+  mapRange(block, index, length) {
+    const end = index + length;
+    const parts = [];
+
+    for (let i = this.findSegment(block.segments, index); i < block.segments.length; i++) {
+      const seg = block.segments[i];
+      if (seg.start >= end) break;
+
+      const from = Math.max(index, seg.start);
+      const to = Math.min(end, seg.end);
+      if (to > from) {
+        parts.push({ node: seg.node, start: from - seg.start, end: to - seg.start });
+      }
+    }
+
+    return parts;
+  },
+
+  /**
+   * Cut a short piece of text around a match, with whitespace collapsed.
+   *
+   * @param {string} text  Text the match was found in
+   * @param {Object} m  Match { text, index, length, term }
+   * @param {number} index  Position of the match in page order
+   * @param {number} context  Characters to keep on either side
+   * @returns {Object}  { before, match, after, index, term }
+   */
+  makeSnippet(text, m, index, context) {
+    const start = Math.max(0, m.index - context);
+    const end = Math.min(text.length, m.index + m.length + context);
+
+    return {
+      before: (start > 0 ? '\u2026' : '') + text.slice(start, m.index).replace(/\s+/g, ' ').trimStart(),
+      match: m.text,
+      after: text.slice(m.index + m.length, end).replace(/\s+/g, ' ').trimEnd() + (end < text.length ? '\u2026' : ''),
+      index: index,
+      term: m.term
+    };
+  },
+
+  /**
+   * Describe one match for copying: its text, its capture groups in regex
+   * mode, and the text around it if asked for.
+   * @param {string} text  Block text the match was found in
+   * @param {Object} m  Match from SearchEngine.scan()
+   * @param {Object} state  Prepared state the match came from
+   * @param {number} context  Characters of context each side, 0 for none
+   * @returns {Object}  { text, groups, before, after }; groups is null outside regex mode
+   */
+  describeMatch(text, m, state, context) {
+    const snippet = context > 0 ? this.makeSnippet(text, m, 0, context) : null;
+
+    return {
+      text: m.text,
+      groups: SearchEngine.getGroups(text, m, state),
+      before: snippet ? snippet.before : '',
+      after: snippet ? snippet.after : ''
+    };
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextModel;
+}